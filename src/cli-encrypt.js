@@ -5,10 +5,22 @@
  * Usage: israeli-bank-firefly-encrypt --input config.yaml --output config.encrypted.yaml
  */
 
-import { readFile, writeFile } from 'fs/promises';
+import {
+  copyFile,
+  readFile,
+  rename,
+  stat,
+  writeFile,
+} from 'fs/promises';
 import { createInterface } from 'readline';
 import yaml from 'js-yaml';
-import { encryptSensitiveFields, encrypt, isEncrypted } from './crypto.js';
+import {
+  decrypt,
+  encryptSensitiveFields,
+  encrypt,
+  isEncrypted,
+  ENCRYPTED_PREFIX,
+} from './crypto.js';
 
 const HELP_TEXT = `
 Israeli Bank Firefly Importer - Configuration Encryption Tool
@@ -23,6 +35,8 @@ OPTIONS:
   --output, -o <file>    Output encrypted file (default: config.encrypted.yaml)
   --decrypt, -d          Decrypt instead of encrypt (for verification)
   --encrypt-value, -e    Encrypt a single value (interactive)
+  --rotate, -r           Change the master password of the --input file, in place (or
+                         into --output if given), keeping a backup of the old file
   --help, -h             Show this help message
 
 EXAMPLES:
@@ -32,6 +46,9 @@ EXAMPLES:
   # Encrypt a single value (for manual insertion)
   israeli-bank-firefly-encrypt --encrypt-value
 
+  # Change the master password of an encrypted config
+  israeli-bank-firefly-encrypt --rotate -i config.encrypted.yaml
+
   # Verify decryption works (prints decrypted values - use carefully!)
   israeli-bank-firefly-encrypt -i config.encrypted.yaml --decrypt
 
@@ -100,8 +117,8 @@ function prompt(question, hidden = false) {
 /**
  * Prompts for master password with confirmation
  */
-async function promptMasterPassword(confirm = true) {
-  const password = await prompt('Enter master password: ', true);
+async function promptMasterPassword(confirm = true, name = 'master password') {
+  const password = await prompt(`Enter ${name}: `, true);
 
   if (password.length < 8) {
     console.error('Error: Password must be at least 8 characters long');
@@ -109,7 +126,7 @@ async function promptMasterPassword(confirm = true) {
   }
 
   if (confirm) {
-    const confirmPassword = await prompt('Confirm master password: ', true);
+    const confirmPassword = await prompt(`Confirm ${name}: `, true);
     if (password !== confirmPassword) {
       console.error('Error: Passwords do not match');
       process.exit(1);
@@ -289,6 +306,121 @@ async function encryptSingleValue() {
   }
 }
 
+// Encrypted values are found in the raw text, so comments and formatting are kept
+const ENCRYPTED_VALUE_PATTERN = new RegExp(`${ENCRYPTED_PREFIX}[A-Za-z0-9+/=]+`, 'g');
+
+const findEncryptedValues = (content) => [...new Set(content.match(ENCRYPTED_VALUE_PATTERN) || [])];
+
+/**
+ * Decrypts every encrypted value of the text
+ * @returns {Promise<Map<string, string>>} - Plaintext by encrypted value
+ */
+async function decryptAll(content, masterPassword) {
+  const values = findEncryptedValues(content);
+  const plaintexts = await Promise.all(values.map((x) => decrypt(x, masterPassword)));
+  return new Map(values.map((x, i) => [x, plaintexts[i]]));
+}
+
+/**
+ * Checks the text holds the same secrets, in the same places, encrypted with the password
+ */
+async function verifyRotated(content, masterPassword, expected) {
+  yaml.load(content);
+  const matches = content.match(ENCRYPTED_VALUE_PATTERN) || [];
+  const decrypted = await decryptAll(content, masterPassword);
+  const plaintexts = matches.map((x) => decrypted.get(x));
+  if (plaintexts.length !== expected.length || plaintexts.some((x, i) => x !== expected[i])) {
+    throw new Error('Re-encrypted values don\'t match the original ones');
+  }
+}
+
+const getBackupFile = (file) => `${file}.${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+
+/**
+ * Re-encrypts every encrypted value of a file with a new master password. The old file is
+ * kept as a backup, and the new one is only reported done once it decrypts.
+ */
+async function rotateMasterPassword(inputFile, target) {
+  console.log(`\nReading encrypted configuration from: ${inputFile}`);
+
+  let content;
+  try {
+    content = await readFile(inputFile, 'utf8');
+  } catch (error) {
+    console.error(`Error reading file: ${error.message}`);
+    process.exit(1);
+  }
+
+  const matches = content.match(ENCRYPTED_VALUE_PATTERN) || [];
+  if (matches.length === 0) {
+    console.error('Error: No encrypted values found, nothing to rotate');
+    process.exit(1);
+  }
+  console.log(`Found ${matches.length} encrypted value(s).\n`);
+
+  const oldPassword = await prompt('Enter current master password: ', true);
+  let oldPlaintexts;
+  try {
+    oldPlaintexts = await decryptAll(content, oldPassword);
+  } catch (error) {
+    console.error(`\nError: ${error.message}`);
+    process.exit(1);
+  }
+
+  const newPassword = await promptMasterPassword(true, 'new master password');
+  if (newPassword === oldPassword) {
+    console.error('Error: The new master password is the same as the current one');
+    process.exit(1);
+  }
+
+  console.log('\nRe-encrypting...');
+  const reEncrypted = new Map(await Promise.all([...oldPlaintexts]
+    .map(async ([value, plaintext]) => [value, await encrypt(plaintext, newPassword)])));
+  const rotated = content.replace(ENCRYPTED_VALUE_PATTERN, (x) => reEncrypted.get(x));
+  const expected = matches.map((x) => oldPlaintexts.get(x));
+
+  const backupFile = getBackupFile(target);
+  const { mode } = await stat(target).catch(() => stat(inputFile));
+  const tempFile = `${target}.tmp`;
+  let backedUp = false;
+  let written = false;
+  try {
+    await verifyRotated(rotated, newPassword, expected);
+    backedUp = await copyFile(target, backupFile).then(() => true, (error) => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return false;
+    });
+    // Written aside and renamed, so a crash never leaves half a file behind
+    await writeFile(tempFile, rotated, { encoding: 'utf8', mode });
+    await rename(tempFile, target);
+    written = true;
+    await verifyRotated(await readFile(target, 'utf8'), newPassword, expected);
+  } catch (error) {
+    console.error(`\nRotation failed: ${error.message}`);
+    if (written && backedUp) {
+      await copyFile(backupFile, target);
+      console.error(`Restored ${target} from its backup ${backupFile}`);
+    } else if (!written) {
+      console.error(`${target} was not changed`);
+    }
+    process.exit(1);
+  }
+
+  console.log(`\nSuccess! Re-encrypted ${matches.length} value(s) with the new master password.`);
+  console.log(`Output written to: ${target}`);
+  if (backedUp) {
+    console.log(`Backup of the old file: ${backupFile}`);
+  }
+  console.log('\nIMPORTANT:');
+  console.log('  1. Update MASTER_PASSWORD (or MASTER_PASSWORD_FILE) wherever the importer runs');
+  console.log('  2. Delete the backup once the importer runs with the new password');
+  console.log('  3. Stored OTP tokens are encrypted with the master password too, rotate them with');
+  console.log('     --rotate -i otp-tokens.json (otp.tokenFile). Otherwise the importer drops tokens');
+  console.log('     that don\'t decrypt with the new password, and asks for a code at the next login');
+}
+
 /**
  * Parse command line arguments
  */
@@ -299,6 +431,8 @@ function parseArgs() {
     output: 'config.encrypted.yaml',
     decrypt: false,
     encryptValue: false,
+    rotate: false,
+    outputSet: false,
     help: false,
   };
 
@@ -313,6 +447,7 @@ function parseArgs() {
       case '--output':
       case '-o':
         options.output = args[i + 1];
+        options.outputSet = true;
         i += 1;
         break;
       case '--decrypt':
@@ -323,6 +458,10 @@ function parseArgs() {
       case '-e':
         options.encryptValue = true;
         break;
+      case '--rotate':
+      case '-r':
+        options.rotate = true;
+        break;
       case '--help':
       case '-h':
         options.help = true;
@@ -354,6 +493,12 @@ async function main() {
     process.exit(0);
   }
 
+  if (options.rotate) {
+    // In place, unless another output is given
+    await rotateMasterPassword(options.input, options.outputSet ? options.output : options.input);
+    process.exit(0);
+  }
+
   if (options.decrypt) {
     console.log('\nDecrypt mode is for verification only.');
     console.log('WARNING: This will display decrypted credentials!\n');
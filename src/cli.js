@@ -0,0 +1,347 @@
+/**
+ * Command line parsing for the importer bin
+ * Usage: israeli-bank-firefly-importer [command] [options]
+ */
+
+import moment from 'moment';
+
+export const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  usage: 2,
+  partial: 3,
+};
+
+export const HELP_TEXT = `
+Israeli Bank Firefly Importer
+
+USAGE:
+  israeli-bank-firefly-importer [command] [options]
+
+COMMANDS:
+  run                    Import, then keep running by the configured cron (default)
+  import                 Import once and exit, ignoring cron
+  once                   Alias of import
+  drop --yes             Delete every transaction in Firefly
+  state show             Print the importer state
+  state list             List every account in the state with its last import
+  state set <account> <date>
+                         Set an account's last import (config name or state key), so
+                         the next import scrapes from that date, less the account's
+                         overlap days
+  state reset <account>  Forget an account's last import, the next import scrapes it
+                         from the start
+  state prune [--yes]    List state entries of accounts no longer in the config, and
+                         delete them with --yes
+  state migrate --to <backend> [--from <backend>]
+                         Copy the importer state between backends (firefly, file,
+                         sqlite), from state.backend by default
+  rules test             Run the configured rules against a sample transaction
+  validate               Check the config (types, credentials, dates, cron) without
+                         importing
+  diagnose               Write an archive of the last run for a bug report (config,
+                         errors, failure screenshots and logs, credentials redacted)
+
+IMPORT OPTIONS (run, import, once; with cron, --since, --cleanup and --replay apply to
+the first run only):
+  --only <name>          Import only the bank/card with this config name (repeatable,
+                         or comma separated)
+  --since <date>         Scrape from this date (YYYY-MM-DD) instead of the last import
+  --edit                 Also update transactions that already exist in Firefly
+  --cleanup              Drop all Firefly transactions before importing
+  --dry-run              Only print the import plan, don't write to Firefly
+  --plan-file <file>     Also write the dry run plan as JSON
+  --record <dir>         Save each account's raw scrape result under a dated folder in dir
+  --replay <dir>         Use recorded scrape results instead of scraping (a run folder, or
+                         a recordings folder for its latest run)
+
+RULES TEST OPTIONS:
+  --description <text>   Transaction description
+  --amount <number>      Charged amount, negative for withdrawals
+  --account <name>       Bank/card config name (or account number)
+  --bank-type <type>     Bank type, e.g. isracard (default: by --account)
+  --category <text>      Scraper category
+
+STATE OPTIONS (list, set, reset, prune):
+  --json                 Print JSON instead of a table
+
+DIAGNOSE OPTIONS:
+  --output, -o <file>    Archive path (default: ./diagnose-<date-time>.tar.gz)
+  --log <file>           Importer log to include the tail of (default: log.file)
+
+GLOBAL OPTIONS:
+  --config, -c <file>    Configuration file (default: CONFIG_FILE or ./config.yaml)
+  --help, -h             Show this help message
+
+EXIT CODES:
+  0  Success
+  1  Error
+  2  Invalid usage or options
+  3  Import finished, but some accounts failed to scrape or some writes to Firefly failed
+
+EXAMPLES:
+  # Re-import a single card from a given date, updating existing transactions
+  israeli-bank-firefly-importer import --only my-isracard --since 2025-01-01 --edit
+
+  # See what the next import would do
+  israeli-bank-firefly-importer once --dry-run --plan-file plan.json
+
+  # Debug offline against the last recorded scrape
+  israeli-bank-firefly-importer once --record ./recordings
+  israeli-bank-firefly-importer once --replay ./recordings --dry-run
+
+  # Re-scrape a card from the start of the year (less its overlap days) on the next import
+  israeli-bank-firefly-importer state set my-isracard 2025-01-01
+
+  # Check a config before deploying it
+  israeli-bank-firefly-importer validate --config ./new-config.yaml
+
+  # Collect what's needed to report a failed scrape
+  israeli-bank-firefly-importer diagnose --log /var/log/importer.log
+
+  # Check which rules a transaction would match
+  israeli-bank-firefly-importer rules test --description "SHUFERSAL DEAL" --amount -120.5 --account my-isracard
+`;
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const importCommands = ['run', 'import', 'once'];
+
+const subCommands = {
+  state: ['show', 'list', 'set', 'reset', 'prune', 'migrate'],
+  rules: ['test'],
+};
+
+// Positional arguments of sub commands
+const commandParams = {
+  'state set': ['account', 'date'],
+  'state reset': ['account'],
+};
+
+const jsonCommands = ['state list', 'state set', 'state reset', 'state prune'];
+
+const sampleFlags = {
+  '--description': 'description',
+  '--amount': 'amount',
+  '--account': 'account',
+  '--bank-type': 'bankType',
+  '--category': 'category',
+};
+
+function getValue(args, i, arg) {
+  const value = args[i + 1];
+  if (value === undefined || value.startsWith('-')) {
+    throw new UsageError(`Option ${arg} requires a value`);
+  }
+  return value;
+}
+
+function getCommandParams(command, values) {
+  const names = commandParams[command] || [];
+  if (values.length > names.length) {
+    throw new UsageError(`Unexpected argument: ${values[names.length]}`);
+  }
+  if (values.length < names.length) {
+    throw new UsageError(`'${command}' needs <${names.slice(values.length).join('> <')}>`);
+  }
+  return names.reduce((m, x, i) => ({ ...m, [x]: values[i] }), {});
+}
+
+function getCommand(positionals) {
+  const [name, sub, ...rest] = positionals;
+  if (!name) {
+    return { command: 'run', params: {} };
+  }
+  if (subCommands[name]) {
+    if (!subCommands[name].includes(sub)) {
+      throw new UsageError(`Unknown ${name} command: ${sub || '(none)'}`);
+    }
+    const command = `${name} ${sub}`;
+    return { command, params: getCommandParams(command, rest) };
+  }
+  if (![...importCommands, 'drop', 'validate', 'diagnose'].includes(name)) {
+    throw new UsageError(`Unknown command: ${name}`);
+  }
+  if (sub) {
+    throw new UsageError(`Unexpected argument: ${sub}`);
+  }
+  return { command: name, params: {} };
+}
+
+/**
+ * Parses the importer command line
+ * @param {string[]} args - Arguments without node and script path
+ * @returns {{command: string, params: object, help: boolean, configFile: string, yes: boolean,
+ * json: boolean, options: object, sample: object, diagnose: object, migrate: object}}
+ */
+export function parseArgs(args) {
+  const positionals = [];
+  const result = {
+    help: false,
+    configFile: undefined,
+    yes: false,
+    json: false,
+    options: {
+      skipEdit: true,
+      onlyAccounts: undefined,
+      cleanup: false,
+      since: undefined,
+      dryRun: undefined,
+      planFile: undefined,
+      recordDir: undefined,
+      replayDir: undefined,
+    },
+    sample: {},
+    diagnose: {
+      output: undefined,
+      logFile: undefined,
+    },
+    migrate: {
+      from: undefined,
+      to: undefined,
+    },
+  };
+  const importFlags = [];
+  const diagnoseFlags = [];
+  const migrateFlags = [];
+  const usedSampleFlags = [];
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    switch (arg) {
+      case '--help':
+      case '-h':
+        result.help = true;
+        break;
+      case '--config':
+      case '-c':
+        result.configFile = getValue(args, i, arg);
+        i += 1;
+        break;
+      case '--only': {
+        const names = getValue(args, i, arg).split(',').map((x) => x.trim()).filter((x) => x);
+        result.options.onlyAccounts = [...(result.options.onlyAccounts || []), ...names];
+        importFlags.push(arg);
+        i += 1;
+        break;
+      }
+      case '--since': {
+        const since = getValue(args, i, arg);
+        if (!moment(since, moment.ISO_8601, true).isValid()) {
+          throw new UsageError(`Invalid --since date: ${since} (expected YYYY-MM-DD)`);
+        }
+        result.options.since = since;
+        importFlags.push(arg);
+        i += 1;
+        break;
+      }
+      case '--edit':
+        result.options.skipEdit = false;
+        importFlags.push(arg);
+        break;
+      case '--cleanup':
+        result.options.cleanup = true;
+        importFlags.push(arg);
+        break;
+      case '--dry-run':
+        result.options.dryRun = true;
+        importFlags.push(arg);
+        break;
+      case '--plan-file':
+        result.options.planFile = getValue(args, i, arg);
+        importFlags.push(arg);
+        i += 1;
+        break;
+      case '--record':
+        result.options.recordDir = getValue(args, i, arg);
+        importFlags.push(arg);
+        i += 1;
+        break;
+      case '--replay':
+        result.options.replayDir = getValue(args, i, arg);
+        importFlags.push(arg);
+        i += 1;
+        break;
+      case '--output':
+      case '-o':
+        result.diagnose.output = getValue(args, i, arg);
+        diagnoseFlags.push(arg);
+        i += 1;
+        break;
+      case '--log':
+        result.diagnose.logFile = getValue(args, i, arg);
+        diagnoseFlags.push(arg);
+        i += 1;
+        break;
+      case '--from':
+      case '--to':
+        result.migrate[arg.slice(2)] = getValue(args, i, arg);
+        migrateFlags.push(arg);
+        i += 1;
+        break;
+      case '--yes':
+      case '-y':
+        result.yes = true;
+        break;
+      case '--json':
+        result.json = true;
+        break;
+      default:
+        if (sampleFlags[arg]) {
+          result.sample[sampleFlags[arg]] = arg === '--amount' ? args[i + 1] : getValue(args, i, arg);
+          usedSampleFlags.push(arg);
+          i += 1;
+          break;
+        }
+        if (arg.startsWith('-')) {
+          throw new UsageError(`Unknown option: ${arg}`);
+        }
+        positionals.push(arg);
+    }
+  }
+
+  if (result.help) {
+    return { ...result, command: 'help' };
+  }
+
+  const { command, params } = getCommand(positionals);
+  if (importFlags.length > 0 && !importCommands.includes(command)) {
+    throw new UsageError(`Option ${importFlags[0]} is not supported by '${command}'`);
+  }
+  if (diagnoseFlags.length > 0 && command !== 'diagnose') {
+    throw new UsageError(`Option ${diagnoseFlags[0]} is not supported by '${command}'`);
+  }
+  if (migrateFlags.length > 0 && command !== 'state migrate') {
+    throw new UsageError(`Option ${migrateFlags[0]} is not supported by '${command}'`);
+  }
+  if (command === 'state migrate' && !result.migrate.to) {
+    throw new UsageError('\'state migrate\' needs --to <backend>');
+  }
+  if (usedSampleFlags.length > 0 && command !== 'rules test') {
+    throw new UsageError(`Option ${usedSampleFlags[0]} is not supported by '${command}'`);
+  }
+  if (command === 'rules test' && !Number.isFinite(Number(result.sample.amount ?? 0))) {
+    throw new UsageError(`Invalid --amount: ${result.sample.amount}`);
+  }
+  if (result.json && !jsonCommands.includes(command)) {
+    throw new UsageError(`Option --json is not supported by '${command}'`);
+  }
+  if (params.date && !moment(params.date, moment.ISO_8601, true).isValid()) {
+    throw new UsageError(`Invalid date: ${params.date} (expected YYYY-MM-DD)`);
+  }
+  if (result.yes && !['drop', 'state prune'].includes(command)) {
+    throw new UsageError(`Option --yes is not supported by '${command}'`);
+  }
+  if (result.options.recordDir && result.options.replayDir) {
+    throw new UsageError('Options --record and --replay can\'t be used together');
+  }
+  if (command === 'drop' && !result.yes) {
+    throw new UsageError('\'drop\' deletes every transaction in Firefly, pass --yes to confirm');
+  }
+  return { ...result, command, params };
+}
@@ -0,0 +1,226 @@
+/**
+ * Checks of the loaded config, so a typo fails at startup instead of mid scrape
+ */
+
+import moment from 'moment';
+import { validate as validateCron } from 'node-cron';
+// eslint-disable-next-line import/no-unresolved
+import { CompanyTypes, SCRAPERS } from 'israeli-bank-scrapers';
+import {
+  ACTIONS,
+  getRuleName,
+  MATCH_FIELDS,
+  RULES_MODES,
+} from './importer/rules.js';
+
+const FILE_TYPE = 'file';
+const IDENTIFY_METHODS = ['identifier', 'hash'];
+const CREDIT_CARD_METHODS = ['process-date', 'reference'];
+const DECIMAL_SEPARATORS = ['.', ','];
+const THOUSANDS_SEPARATORS = [',', '.', ' ', "'", ''];
+
+const error = (path, message) => ({ path, message });
+
+const isDate = (value) => (value instanceof Date && !Number.isNaN(value.getTime()))
+  || (typeof value === 'string' && moment(value, moment.ISO_8601, true).isValid());
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+function checkDate(value, path) {
+  if (value === undefined || value === null || isDate(value)) {
+    return [];
+  }
+  return [error(path, `'${value}' is not a date, expected YYYY-MM-DD`)];
+}
+
+function checkTimeout(value, path) {
+  if (value === undefined || value === null || isPositiveNumber(value)) {
+    return [];
+  }
+  return [error(path, `'${value}' is not a timeout, expected a positive number of milliseconds`)];
+}
+
+// OTP fields are filled at login (see otp.js), a long-term token saves the phone number
+function getRequiredFields(type, credentials) {
+  const fields = SCRAPERS?.[CompanyTypes[type]]?.loginFields || [];
+  return fields
+    .filter((x) => !x.startsWith('otp'))
+    .filter((x) => x !== 'phoneNumber' || !credentials.otpLongTermToken);
+}
+
+function checkCredentials(entry, path) {
+  if (entry.credentials !== undefined
+    && (typeof entry.credentials !== 'object' || Array.isArray(entry.credentials))) {
+    return [error(`${path}.credentials`, 'expected a map of credential fields')];
+  }
+  const credentials = entry.credentials || {};
+  return getRequiredFields(entry.type, credentials)
+    .filter((x) => credentials[x] === undefined || credentials[x] === null || credentials[x] === '')
+    .map((x) => error(`${path}.credentials.${x}`, `required for ${entry.type}`));
+}
+
+function checkSeparators(entry, path) {
+  const decimal = entry.decimalSeparator ?? '.';
+  const thousands = entry.thousandsSeparator ?? (decimal === ',' ? '.' : ',');
+  return [
+    ...(DECIMAL_SEPARATORS.includes(decimal) ? [] : [error(`${path}.decimalSeparator`, `'${decimal}' is not ${DECIMAL_SEPARATORS.map((x) => `'${x}'`).join(' or ')}`)]),
+    ...(THOUSANDS_SEPARATORS.includes(thousands) ? [] : [error(`${path}.thousandsSeparator`, `'${thousands}' is not one of ${THOUSANDS_SEPARATORS.map((x) => `'${x}'`).join(', ')}`)]),
+    ...(decimal === thousands ? [error(`${path}.thousandsSeparator`, 'must differ from decimalSeparator')] : []),
+  ];
+}
+
+function checkEntry(entry, path) {
+  if (!entry || typeof entry !== 'object') {
+    return [error(path, 'expected a bank or credit card entry')];
+  }
+  if (!entry.type) {
+    return [error(`${path}.type`, 'required')];
+  }
+  const common = [
+    ...checkDate(entry.startDate, `${path}.startDate`),
+    ...checkTimeout(entry.timeout, `${path}.timeout`),
+  ];
+  if (entry.type === FILE_TYPE) {
+    return [
+      ...(entry.path ? [] : [error(`${path}.path`, 'required for file entries')]),
+      ...(entry.name || entry.accountNumber ? [] : [error(`${path}.name`, 'required for file entries without accountNumber, it names the Firefly account')]),
+      ...checkSeparators(entry, path),
+      ...common,
+    ];
+  }
+  if (!CompanyTypes[entry.type]) {
+    return [error(`${path}.type`, `unknown type '${entry.type}', expected one of ${Object.keys(CompanyTypes).join(', ')} or ${FILE_TYPE}`)];
+  }
+  return [...checkCredentials(entry, path), ...common];
+}
+
+function checkBanks(banks) {
+  if (!Array.isArray(banks) || banks.length === 0) {
+    return [error('banks', 'expected a list with at least one bank')];
+  }
+  const entries = banks.flatMap((bank, i) => [
+    { entry: bank, path: `banks[${i}]` },
+    ...(bank?.creditCards || []).map((cc, j) => ({ entry: cc, path: `banks[${i}].creditCards[${j}]` })),
+  ]);
+  const firstByName = entries
+    .filter((x) => x.entry?.name)
+    .reduce((m, x) => ({ ...m, [x.entry.name]: m[x.entry.name] || x.path }), {});
+  return entries.flatMap(({ entry, path }) => [
+    ...checkEntry(entry, path),
+    ...(entry?.name && firstByName[entry.name] !== path
+      ? [error(`${path}.name`, `'${entry.name}' is already the name of ${firstByName[entry.name]}`)]
+      : []),
+  ]);
+}
+
+// Transactions of file entries are typed by their institution, when set
+function getAccountTypes(banks) {
+  const institutions = (Array.isArray(banks) ? banks : [])
+    .flatMap((b) => [b, ...(b?.creditCards || [])])
+    .filter((x) => x?.type === FILE_TYPE && x.institution)
+    .map((x) => x.institution);
+  return [...Object.keys(CompanyTypes), FILE_TYPE, ...institutions];
+}
+
+function checkIdentifyMethod(identifyMethod, accountTypes) {
+  return Object.entries(identifyMethod || {}).flatMap(([type, method]) => [
+    ...(accountTypes.includes(type) ? [] : [error(`identifyMethod.${type}`, `unknown type '${type}'`)]),
+    ...(IDENTIFY_METHODS.includes(method) ? [] : [error(`identifyMethod.${type}`, `'${method}' is not ${IDENTIFY_METHODS.join(' or ')}`)]),
+  ]);
+}
+
+function checkCreditCardDesc(creditCardDesc, accountTypes) {
+  if (!Array.isArray(creditCardDesc)) {
+    return [error('creditCardDesc', 'expected a list of { desc, creditCard }')];
+  }
+  return creditCardDesc.flatMap((x, i) => [
+    ...(x?.desc ? [] : [error(`creditCardDesc[${i}].desc`, 'required')]),
+    ...(accountTypes.includes(x?.creditCard) ? [] : [error(`creditCardDesc[${i}].creditCard`, `unknown credit card type '${x?.creditCard}'`)]),
+    ...(x?.method === undefined || CREDIT_CARD_METHODS.includes(x.method) ? [] : [error(`creditCardDesc[${i}].method`, `'${x.method}' is not ${CREDIT_CARD_METHODS.join(' or ')}`)]),
+  ]);
+}
+
+function checkFirefly(firefly) {
+  return [
+    ...(firefly?.baseUrl ? [] : [error('firefly.baseUrl', 'required')]),
+    ...(firefly?.tokenApi ? [] : [error('firefly.tokenApi', 'required')]),
+    ...checkTimeout(firefly?.timeout, 'firefly.timeout'),
+  ];
+}
+
+const REGEX_FIELDS = ['description', 'category'];
+
+function checkMatchValue(field, value, path) {
+  if (REGEX_FIELDS.includes(field)) {
+    try {
+      RegExp(value, 'i');
+      return [];
+    } catch (e) {
+      return [error(path, `invalid regex: ${e.message}`)];
+    }
+  }
+  if (field === 'amount') {
+    const invalid = ['min', 'max'].filter((x) => value?.[x] !== undefined && typeof value[x] !== 'number');
+    return !value || typeof value !== 'object' || invalid.length > 0
+      ? [error(path, 'expected { min, max } numbers')]
+      : [];
+  }
+  return [];
+}
+
+function checkRule(rule, i) {
+  const path = `rules[${i}]`;
+  if (!rule || typeof rule !== 'object') {
+    return [error(path, 'expected a rule with match and actions')];
+  }
+  const name = getRuleName(rule, i);
+  return [
+    ...Object.entries(rule.match || {}).flatMap(([field, value]) => (MATCH_FIELDS.includes(field)
+      ? checkMatchValue(field, value, `${path}.match.${field}`)
+      : [error(`${path}.match.${field}`, `unknown match field in rule '${name}', expected one of ${MATCH_FIELDS.join(', ')}`)])),
+    ...Object.keys(rule.actions || {})
+      .filter((x) => !ACTIONS.includes(x))
+      .map((x) => error(`${path}.actions.${x}`, `unknown action in rule '${name}', expected one of ${ACTIONS.join(', ')}`)),
+  ];
+}
+
+function checkRules(rules, rulesMode) {
+  return [
+    ...(rules === undefined || Array.isArray(rules) ? [] : [error('rules', 'expected a list of rules')]),
+    ...(Array.isArray(rules) ? rules.flatMap(checkRule) : []),
+    ...(rulesMode === undefined || RULES_MODES.includes(rulesMode) ? [] : [error('rulesMode', `'${rulesMode}' is not ${RULES_MODES.join(' or ')}`)]),
+  ];
+}
+
+function checkCron(cron) {
+  if (!cron || validateCron(String(cron))) {
+    return [];
+  }
+  return [error('cron', `'${cron}' is not a valid cron expression`)];
+}
+
+/**
+ * Validates the loaded (and decrypted) config
+ * @param {object} cfg - The whole config, e.g. nconf's get()
+ * @returns {{path: string, message: string}[]} - One error per invalid value, by its YAML path
+ */
+export default function validateConfig(cfg) {
+  const accountTypes = getAccountTypes(cfg.banks);
+  return [
+    ...checkFirefly(cfg.firefly),
+    ...checkBanks(cfg.banks),
+    ...checkIdentifyMethod(cfg.identifyMethod, accountTypes),
+    ...checkCreditCardDesc(cfg.creditCardDesc || [], accountTypes),
+    ...checkRules(cfg.rules, cfg.rulesMode),
+    ...checkCron(cfg.cron),
+    ...checkDate(cfg.scraper?.startDate, 'scraper.startDate'),
+    ...checkTimeout(cfg.scraper?.timeout, 'scraper.timeout'),
+  ];
+}
+
+export function formatConfigErrors(errors) {
+  return [
+    `Invalid config (${errors.length} error${errors.length === 1 ? '' : 's'}):`,
+    ...errors.map((x) => `  ${x.path}: ${x.message}`),
+  ].join('\n');
+}
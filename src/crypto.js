@@ -4,6 +4,7 @@
  */
 
 import crypto from 'node:crypto';
+import { isSecretReference } from './secrets.js';
 
 // Encryption constants
 const ALGORITHM = 'aes-256-gcm';
@@ -186,8 +187,8 @@ export async function encryptSensitiveFields(obj, masterPassword, path = '') {
   }
 
   if (typeof obj === 'string') {
-    // Skip if already encrypted
-    if (isEncrypted(obj)) {
+    // Skip if already encrypted, or a reference to a secret kept elsewhere (see secrets.js)
+    if (isEncrypted(obj) || isSecretReference(obj)) {
       return obj;
     }
 
@@ -0,0 +1,246 @@
+/**
+ * Diagnostic bundle of the last run, safe to attach to an issue
+ */
+
+import {
+  mkdir,
+  readdir,
+  readFile,
+  stat,
+  writeFile,
+} from 'fs/promises';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import moment from 'moment';
+import config from 'nconf';
+import logger from './logger.js';
+import { getConfigDir, getConfigFile } from './load-config.js';
+
+const LAST_RUN_FILE = 'last-run.json';
+const LOG_TAIL_LINES = 500;
+const REDACTED = '[Redacted]';
+// Scrubbed anywhere, on top of the log.redact paths
+const SENSITIVE_KEY = /password|token|secret|apikey|credentials|card6digits|wsendpoint|^id$|^usercode$/i;
+
+// Failure captures are only kept when the config file is set explicitly
+export function getDebugDir() {
+  return process.env.CONFIG_FILE ? path.join(getConfigDir(), 'debug') : null;
+}
+
+/**
+ * Saves every account's scrape outcome and scraper options for `diagnose`
+ */
+export async function saveLastRun(flatUsers, results, optionsList) {
+  const debugDir = getDebugDir();
+  if (!debugDir) {
+    return;
+  }
+  const lastRun = {
+    finishedAt: moment().toISOString(),
+    accounts: results.map((x, i) => ({
+      account: flatUsers[i].name || flatUsers[i].type,
+      type: flatUsers[i].type,
+      configPath: flatUsers[i].configPath,
+      success: x.success,
+      errorType: x.errorType,
+      errorMessage: x.errorMessage,
+      attempts: x.attempts,
+      windowReducedFrom: x.windowReducedFrom,
+      options: optionsList[i],
+    })),
+  };
+  try {
+    await mkdir(debugDir, { recursive: true });
+    await writeFile(path.join(debugDir, LAST_RUN_FILE), JSON.stringify(lastRun, null, 2), {
+      encoding: 'utf8',
+      mode: 0o600,
+    });
+  } catch (e) {
+    logger().debug({ e }, 'Could not save the last run, diagnose will miss it');
+  }
+}
+
+// Same path syntax as pino's redact: dot separated, [n] or [*] for arrays, * for any key
+const parsePath = (redactPath) => redactPath
+  .replace(/\[(\*|\d+)\]/g, '.$1')
+  .replace(/\["([^"]+)"\]/g, '.$1')
+  .split('.')
+  .filter((x) => x);
+
+function redactByPath(obj, segments, secrets) {
+  if (!obj || typeof obj !== 'object') {
+    return;
+  }
+  const [key, ...rest] = segments;
+  const keys = key === '*' ? Object.keys(obj) : [key].filter((x) => x in obj);
+  keys.forEach((x) => {
+    if (rest.length > 0) {
+      redactByPath(obj[x], rest, secrets);
+      return;
+    }
+    collectSecrets(obj[x], secrets);
+    // eslint-disable-next-line no-param-reassign
+    obj[x] = REDACTED;
+  });
+}
+
+function collectSecrets(value, secrets) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    secrets.add(String(value));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((x) => collectSecrets(x, secrets));
+  }
+}
+
+function redactByKey(value, secrets) {
+  if (Array.isArray(value)) {
+    return value.map((x) => redactByKey(x, secrets));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.entries(value).reduce((m, [key, x]) => {
+    if (SENSITIVE_KEY.test(key) && x !== REDACTED) {
+      collectSecrets(x, secrets);
+      return { ...m, [key]: REDACTED };
+    }
+    return { ...m, [key]: redactByKey(x, secrets) };
+  }, {});
+}
+
+/**
+ * Redacts an object with the log.redact paths, then any sensitive looking key
+ * @param {object} value - Plain (JSON) object
+ * @param {Set<string>} secrets - Collects the redacted values, to scrub them from text
+ */
+export function redact(value, secrets = new Set()) {
+  const copy = JSON.parse(JSON.stringify(value ?? null));
+  (config.get('log:redact') || [])
+    .forEach((x) => redactByPath(copy, parsePath(x), secrets));
+  return redactByKey(copy, secrets);
+}
+
+// Secrets shorter than that would scrub unrelated text (e.g. a 2 digit code)
+const MIN_SECRET_LENGTH = 4;
+
+function scrubText(text, secrets) {
+  return [...secrets]
+    .filter((x) => x.length >= MIN_SECRET_LENGTH && x !== REDACTED)
+    .sort((a, b) => b.length - a.length)
+    .reduce((m, x) => m.split(x).join(REDACTED), text);
+}
+
+async function readIfExists(file) {
+  try {
+    return await readFile(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return null;
+    }
+    throw e;
+  }
+}
+
+const tail = (text, lines) => text.split('\n').slice(-lines).join('\n');
+
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(512);
+  const write = (value, offset, length) => header.write(value, offset, length, 'utf8');
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0');
+  write(name, 0, 100);
+  write(octal(0o600, 8), 100, 8);
+  write(octal(0, 8), 108, 8);
+  write(octal(0, 8), 116, 8);
+  write(octal(size, 12), 124, 12);
+  write(octal(Math.floor(mtime / 1000), 12), 136, 12);
+  write('        ', 148, 8);
+  write('0', 156, 1);
+  write('ustar\u000000', 257, 8);
+  const checksum = header.reduce((m, x) => m + x, 0);
+  write(`${octal(checksum, 7)}\u0000 `, 148, 8);
+  return header;
+}
+
+function createTarGz(entries) {
+  const now = Date.now();
+  const blocks = entries.flatMap(({ name, content }) => [
+    tarHeader(name, content.length, now),
+    content,
+    Buffer.alloc((512 - (content.length % 512)) % 512),
+  ]);
+  return gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)]));
+}
+
+async function getDebugFiles(debugDir, failed) {
+  const files = debugDir ? await readdir(debugDir).catch(() => []) : [];
+  const screenshots = failed
+    .map((x) => x.options?.storeFailureScreenShotPath)
+    .filter((x) => x)
+    .map((x) => path.basename(x));
+  return files
+    .filter((x) => x.endsWith('-debug.log') || screenshots.includes(x))
+    .map((x) => path.join(debugDir, x));
+}
+
+/**
+ * Writes the diagnostic archive: last run outcome, redacted config, failure screenshots
+ * and debug logs of the failed accounts, and the tail of the importer log
+ * @param {{output: string, logFile: string}} options
+ * @returns {Promise<{file: string, size: number, summary: object}>}
+ */
+export async function createDiagnosticBundle({ output, logFile } = {}) {
+  const secrets = new Set();
+  const redactedConfig = redact(config.get(), secrets);
+  const debugDir = getDebugDir();
+  const lastRunContent = debugDir && await readIfExists(path.join(debugDir, LAST_RUN_FILE));
+  const lastRun = lastRunContent ? redact(JSON.parse(lastRunContent), secrets) : null;
+  const failed = (lastRun?.accounts || []).filter((x) => !x.success);
+
+  const debugFiles = await getDebugFiles(debugDir, failed);
+  const debugEntries = await Promise.all(debugFiles.map(async (file) => {
+    const content = await readFile(file);
+    return {
+      name: `debug/${path.basename(file)}`,
+      content: file.endsWith('.log')
+        ? Buffer.from(scrubText(tail(content.toString('utf8'), LOG_TAIL_LINES), secrets))
+        : content,
+    };
+  }));
+
+  const importerLogFile = logFile || config.get('log:file');
+  const importerLog = importerLogFile && await readIfExists(importerLogFile);
+  const json = (value) => Buffer.from(JSON.stringify(value, null, 2));
+  const entries = [
+    { name: 'config.json', content: json(redactedConfig) },
+    ...(lastRun ? [{
+      name: LAST_RUN_FILE,
+      content: Buffer.from(scrubText(JSON.stringify(lastRun, null, 2), secrets)),
+    }] : []),
+    ...debugEntries,
+    ...(importerLog ? [{
+      name: 'importer.log',
+      content: Buffer.from(scrubText(tail(importerLog.toString('utf8'), LOG_TAIL_LINES), secrets)),
+    }] : []),
+  ];
+  const summary = {
+    generatedAt: moment().toISOString(),
+    node: process.version,
+    platform: `${process.platform} ${process.arch}`,
+    configFile: getConfigFile(),
+    lastRunAt: lastRun?.finishedAt || null,
+    failedAccounts: failed.map((x) => ({ account: x.account, errorType: x.errorType })),
+    missing: [
+      ...(lastRun ? [] : ['last run (no import has run with this config yet)']),
+      ...(importerLog ? [] : ['importer log (set log.file, or pass --log)']),
+    ],
+    entries: entries.map((x) => x.name),
+  };
+
+  const root = `diagnose-${moment().format('YYYY-MM-DDTHH-mm-ss')}`;
+  const file = output || `${root}.tar.gz`;
+  const archive = createTarGz([{ name: 'summary.json', content: json(summary) }, ...entries]
+    .map((x) => ({ ...x, name: `${root}/${x.name}` })));
+  await writeFile(file, archive, { mode: 0o600 });
+  const { size } = await stat(file);
+  return { file, size, summary };
+}
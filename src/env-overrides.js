@@ -0,0 +1,173 @@
+/**
+ * Config values set from environment variables, on top of the config file
+ *
+ * BANK_<NAME>__<FIELD>   a field of the bank or card with that name, e.g. BANK_LEUMI_MAIN__PASSWORD
+ * CONFIG__<KEY>__<KEY>   any config path, e.g. CONFIG__SCRAPER__TIMEOUT or
+ *                        CONFIG__BANKS__LEUMI_MAIN__RETRY__ATTEMPTS
+ * BANK_<N>_<FIELD>       credentials by position (BANK_0_PASSWORD, BANK_0_CC_1_CARD6DIGITS)
+ */
+
+// eslint-disable-next-line import/no-unresolved
+import { CompanyTypes, SCRAPERS } from 'israeli-bank-scrapers';
+
+const NAME_PATTERN = /^BANK_([A-Z0-9_]+?)__(.+)$/;
+const PATH_PATTERN = /^CONFIG__(.+)$/;
+const INDEX_BANK_PATTERN = /^BANK_(\d+)_(USERNAME|PASSWORD|ID|USERCODE)$/;
+const INDEX_CARD_PATTERN = /^BANK_(\d+)_CC_(\d+)_(USERNAME|PASSWORD|ID|CARD6DIGITS)$/;
+
+// Optional keys, so an override can set them before the config file does
+const CREDENTIAL_FIELDS = ['username', 'password', 'id', 'userCode', 'card6Digits', 'email',
+  'phoneNumber', 'otpLongTermToken', 'nationalID', 'num'];
+const ENTRY_FIELDS = ['name', 'startDate', 'timeout', 'overlapDays', 'stateKey', 'otp',
+  'concurrencyGroup', 'retry', 'credentials'];
+const OTHER_FIELDS = ['maxConcurrency', 'startDate', 'timeout', 'browserWSEndpoint', 'attempts',
+  'delay', 'backoff', 'timeoutMultiplier', 'maxDays', 'file', 'sqlite'];
+
+// Upper case, and underscores for anything else, so `leumi-main` is LEUMI_MAIN
+const toEnvName = (value) => String(value)
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+const squash = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const findKey = (keys, segment) => keys.find((x) => squash(x) === squash(segment));
+
+const getEntries = (banks) => (Array.isArray(banks) ? banks : [])
+  .flatMap((bank, i) => [
+    { entry: bank, path: ['banks', i] },
+    ...(bank?.creditCards || []).map((cc, j) => ({ entry: cc, path: ['banks', i, 'creditCards', j] })),
+  ]);
+
+function getCredentialFields(entry) {
+  const loginFields = SCRAPERS?.[CompanyTypes[entry?.type]]?.loginFields || [];
+  return [...Object.keys(entry?.credentials || {}), ...loginFields, ...CREDENTIAL_FIELDS];
+}
+
+/**
+ * Walks the config by env name segments: object keys ignoring case and underscores, array
+ * items by index or by their `name`
+ * @returns {Array|null} - The config path, null if a segment matches nothing
+ */
+function resolvePath(node, segments, path = []) {
+  if (segments.length === 0) {
+    return path;
+  }
+  const [segment, ...rest] = segments;
+  if (Array.isArray(node)) {
+    const index = /^\d+$/.test(segment)
+      ? Number(segment)
+      : node.findIndex((x) => x?.name && toEnvName(x.name) === toEnvName(segment));
+    return index >= 0 && index < node.length
+      ? resolvePath(node[index], rest, [...path, index])
+      : null;
+  }
+  const keys = [
+    ...Object.keys(node && typeof node === 'object' ? node : {}),
+    ...(path.at(-1) === 'credentials' ? CREDENTIAL_FIELDS : [...ENTRY_FIELDS, ...OTHER_FIELDS]),
+  ];
+  const key = findKey(keys, segment);
+  return key ? resolvePath(node?.[key], rest, [...path, key]) : null;
+}
+
+// A single field after the bank name is a credential when the bank logs in with it
+function resolveEntryField(entry, segments) {
+  const credential = segments.length === 1 && findKey(getCredentialFields(entry), segments[0]);
+  if (credential) {
+    return ['credentials', credential];
+  }
+  return resolvePath(entry, segments);
+}
+
+function getNameOverride(banks, variable, name, field) {
+  const found = getEntries(banks).find((x) => x.entry?.name && toEnvName(x.entry.name) === name);
+  const fieldPath = found && resolveEntryField(found.entry, field.split('__'));
+  return fieldPath && { variable, path: [...found.path, ...fieldPath], byName: true };
+}
+
+function getIndexOverride(banks, variable) {
+  const bankMatch = variable.match(INDEX_BANK_PATTERN);
+  if (bankMatch && banks?.[bankMatch[1]]) {
+    const field = findKey(CREDENTIAL_FIELDS, bankMatch[2]);
+    return { variable, path: ['banks', Number(bankMatch[1]), 'credentials', field], byIndex: true };
+  }
+  const cardMatch = variable.match(INDEX_CARD_PATTERN);
+  if (cardMatch && banks?.[cardMatch[1]]?.creditCards?.[cardMatch[2]]) {
+    const field = findKey(CREDENTIAL_FIELDS, cardMatch[3]);
+    return {
+      variable,
+      path: ['banks', Number(cardMatch[1]), 'creditCards', Number(cardMatch[2]), 'credentials', field],
+      byIndex: true,
+    };
+  }
+  return null;
+}
+
+function getOverride(cfg, variable) {
+  const nameMatch = variable.match(NAME_PATTERN);
+  if (nameMatch) {
+    return getNameOverride(cfg.banks, variable, nameMatch[1], nameMatch[2]);
+  }
+  const pathMatch = variable.match(PATH_PATTERN);
+  if (pathMatch) {
+    const path = resolvePath(cfg, pathMatch[1].split('__'));
+    return path && { variable, path };
+  }
+  return getIndexOverride(cfg.banks, variable);
+}
+
+// Env values are strings, numbers and booleans follow what they replace. Credentials
+// stay strings, a card's 6 digits or an id may start with 0.
+function parseValue(value, current, path) {
+  if (path.includes('credentials')) {
+    return value;
+  }
+  const type = current === undefined ? null : typeof current;
+  if ((type === 'number' || (!type && /^-?\d+(\.\d+)?$/.test(value))) && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if ((type === 'boolean' || !type) && ['true', 'false'].includes(value)) {
+    return value === 'true';
+  }
+  return value;
+}
+
+const getValue = (cfg, path) => path.reduce((m, x) => m?.[x], cfg);
+
+export const isOverrideVariable = (variable) => NAME_PATTERN.test(variable)
+  || PATH_PATTERN.test(variable)
+  || INDEX_BANK_PATTERN.test(variable)
+  || INDEX_CARD_PATTERN.test(variable);
+
+// BANK_MAIN__PASSWORD_FILE is where BANK_MAIN__PASSWORD was read from (see secrets.js)
+const isFileVariant = (variable) => /[^_]_FILE$/.test(variable)
+  && isOverrideVariable(variable.slice(0, -'_FILE'.length));
+
+/**
+ * Finds the config path each override variable sets. Index based variables apply first,
+ * so a name based or path one wins when both set the same value.
+ * @param {object} cfg - The loaded config
+ * @param {object} env - Environment variables, e.g. process.env
+ * @returns {{overrides: {variable: string, path: Array, value: *}[], unmatched: string[]}}
+ */
+export function getEnvOverrides(cfg, env) {
+  const variables = Object.keys(env)
+    .filter((x) => env[x] !== '' && isOverrideVariable(x) && !isFileVariant(x));
+  const found = variables.map((x) => ({ variable: x, override: getOverride(cfg, x) }));
+  const overrides = found
+    .filter((x) => x.override)
+    .map((x) => x.override)
+    .sort((a, b) => Number(!!b.byIndex) - Number(!!a.byIndex))
+    .map((x) => ({ ...x, value: parseValue(env[x.variable], getValue(cfg, x.path), x.path) }));
+  return {
+    overrides,
+    unmatched: found.filter((x) => !x.override).map((x) => x.variable),
+  };
+}
+
+/**
+ * YAML style path for logs and errors, e.g. banks[0].credentials.password
+ */
+export const formatPath = (path) => path
+  .map((x, i) => (typeof x === 'number' ? `[${x}]` : `${i > 0 ? '.' : ''}${x}`))
+  .join('');
@@ -1,6 +1,8 @@
 /* eslint-disable no-await-in-loop */
 import config from 'nconf';
 import axios from 'axios';
+import logger from './logger.js';
+import sleep from './sleep.js';
 
 let fireflyAxios;
 
@@ -8,27 +10,107 @@ export function init() {
   fireflyAxios = axios.create({
     headers: getHeader(),
     baseURL: config.get('firefly:baseUrl'),
+    timeout: config.get('firefly:timeout'),
   });
 }
 
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Whether a failed request may succeed later: a 429, a 5xx or a network error
+ */
+export function isRetryable(e) {
+  const status = e?.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(e?.code);
+}
+
+function getRetryDelay(e, attempt) {
+  const retryAfter = Number(e?.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+  return config.get('firefly:retryDelay') * 2 ** attempt;
+}
+
+async function withRetry(request, attempt = 0) {
+  try {
+    return await request(attempt);
+  } catch (e) {
+    if (attempt >= config.get('firefly:retries') || !isRetryable(e)) {
+      throw e;
+    }
+    const delay = getRetryDelay(e, attempt);
+    logger().warn({
+      status: e?.response?.status,
+      code: e?.code,
+      url: e?.config?.url,
+      attempt: attempt + 1,
+      delay,
+    }, 'Firefly request failed, retrying');
+    await sleep(delay);
+    return withRetry(request, attempt + 1);
+  }
+}
+
+/**
+ * Runs writes with bounded concurrency. Every write is already retried, so a failure here
+ * is permanent.
+ * @param {Array} items - Items to write
+ * @param {function} write - Async writer of a single item
+ * @param {string} name - Past tense of the write, for progress logs
+ * @returns {Promise<Array<{item, error}>>} - The items that failed
+ */
+export async function runWriteQueue(items, write, name) {
+  const concurrency = Math.max(1, config.get('firefly:concurrency') || 1);
+  const failed = [];
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      try {
+        await write(item);
+      } catch (error) {
+        failed.push({ item, error });
+      }
+      done += 1;
+      if (done % 50 === 0) {
+        logger().info({ currentAmount: done, total: items.length }, `Transactions ${name}.`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return failed;
+}
+
 export async function searchTxs(options) {
   const query = Object.keys(options)
     .reduce((m, x) => `${m} ${x}:${options[x]}`, '')
     .trim();
-  return paginate('/api/v1/search/transactions', query);
+  return paginate('/api/v1/search/transactions', { query });
 }
 
-async function paginate(url, query) {
+function get(url) {
+  return withRetry(() => fireflyAxios.get(url));
+}
+
+async function paginate(url, params = {}) {
   const fireFlyData = [];
   const urlSearchParams = new URLSearchParams({
     limit: config.get('firefly:limit'),
-    ...query ? { query } : {},
+    ...Object.keys(params)
+      .filter((x) => params[x])
+      .reduce((m, x) => ({ ...m, [x]: params[x] }), {}),
   });
   let nextPage = `${url}?${urlSearchParams}`;
   while (nextPage) {
     let res;
     try {
-      res = await fireflyAxios.get(nextPage);
+      res = await get(nextPage);
     } catch (e) {
       if (e?.response?.status === 404) {
         return [];
@@ -47,7 +129,20 @@ export async function getAllTxs() {
   return paginate('/api/v1/search/transactions');
 }
 
-const getTxsByTagCache = {};
+let getTxsByTagCache = {};
+let getAccountsCache = {};
+
+// Called at the start of every import, so a long running (cron) process doesn't
+// keep using the previous run's data
+export function clearCache() {
+  getTxsByTagCache = {};
+  getAccountsCache = {};
+}
+
+// Any transaction write changes account balances
+function invalidateAccounts() {
+  getAccountsCache = {};
+}
 
 export async function getTxsByTag(tag) {
   if (!getTxsByTagCache[tag]) {
@@ -56,35 +151,73 @@ export async function getTxsByTag(tag) {
   return getTxsByTagCache[tag];
 }
 
+const isDuplicateError = (e) => e?.response?.status === 422
+  && /duplicate/i.test(e?.response?.data?.message || '');
+
 export function createTx(transactions) {
-  return fireflyAxios.post('/api/v1/transactions', { transactions });
+  invalidateAccounts();
+  return withRetry(async (attempt) => {
+    try {
+      return await fireflyAxios.post('/api/v1/transactions', {
+        // A failed attempt (e.g. a timeout) may still have been stored, so a retry
+        // lets Firefly refuse the duplicate instead of creating it twice
+        ...(attempt > 0 && { error_if_duplicate_hash: true }),
+        transactions,
+      });
+    } catch (e) {
+      if (attempt > 0 && isDuplicateError(e)) {
+        return e.response;
+      }
+      throw e;
+    }
+  });
 }
 
 export function updateTx(id, transactions) {
-  return fireflyAxios.put(`/api/v1/transactions/${id}`, { transactions });
+  invalidateAccounts();
+  return withRetry(() => fireflyAxios.put(`/api/v1/transactions/${id}`, { transactions }));
 }
 
 export function deleteTx(id) {
-  return fireflyAxios.delete(`/api/v1/transactions/${id}`);
+  invalidateAccounts();
+  return withRetry(() => fireflyAxios.delete(`/api/v1/transactions/${id}`));
 }
 
-export function getAccounts() {
-  return fireflyAxios.get('/api/v1/accounts');
+/**
+ * Lists Firefly accounts, following all pages. Cached until an account or a
+ * transaction is written.
+ * @param {string} [type] - Account type filter (e.g. asset), all accounts when omitted
+ * @returns {Promise<Array>} - Firefly account resources
+ */
+export function getAccounts(type) {
+  const key = type || 'all';
+  if (!getAccountsCache[key]) {
+    getAccountsCache[key] = paginate('/api/v1/accounts', { type });
+    // Don't cache failures
+    getAccountsCache[key].catch(() => {
+      getAccountsCache[key] = undefined;
+    });
+  }
+  return getAccountsCache[key];
 }
 
-export function createAccount(data) {
-  return fireflyAxios.post('/api/v1/accounts', data);
+export async function createAccount(data) {
+  try {
+    return await withRetry(() => fireflyAxios.post('/api/v1/accounts', data));
+  } finally {
+    invalidateAccounts();
+  }
 }
 
 export function upsertConfig(state) {
-  return fireflyAxios.post('/api/v1/preferences', {
+  return withRetry(() => fireflyAxios.post('/api/v1/preferences', {
     name: 'israeli-bank-importer',
     data: state,
-  });
+  }));
 }
 
 export function getConfig() {
-  return fireflyAxios.get('/api/v1/preferences/israeli-bank-importer');
+  return get('/api/v1/preferences/israeli-bank-importer');
 }
 
 function getHeader() {
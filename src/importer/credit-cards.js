@@ -2,22 +2,43 @@ import moment from 'moment';
 import config from 'nconf';
 import { getTxsByTag } from '../firefly.js';
 import logger from '../logger.js';
+import { applyRules } from './rules.js';
+import { payeeTx } from './payee.js';
 
-export default function manipulateTxs(txs, accountsMap) {
+export default async function manipulateTxs(txs, accountsMap) {
   const ccDesc = getCcDesc(accountsMap);
-  return txs.reduce(
-    (m, tx) => m.then(async (x) => [...x, await manipulateTx(tx, ccDesc, accountsMap)]),
+  const accountById = Object.entries(accountsMap)
+    .reduce((m, [accountNumber, x]) => ({ ...m, [x.id]: { ...x, accountNumber } }), {});
+  const manipulated = await txs.reduce(
+    (m, tx) => m
+      .then(async (x) => [...x, await manipulateTx(tx, ccDesc, accountsMap, accountById)]),
     Promise.resolve([]),
   );
+  const skipped = manipulated.filter((x) => x === null).length;
+  if (skipped > 0) {
+    logger().info({ skipped }, 'Skipped transactions by rules');
+  }
+  return manipulated.filter((x) => x);
 }
 
-async function manipulateTx(tx, ccDesc, accountsMap) {
+async function manipulateTx(tx, ccDesc, accountsMap, accountById) {
   let newTx = tx;
   newTx = {
     ...newTx,
-    tags: ccTag(tx, accountsMap),
+    // Pending transactions keep their marker and stay out of the billing cycle tag
+    tags: tx.tags || ccTag(tx, accountsMap),
   };
   newTx = await ccTransfer(newTx, ccDesc, accountsMap);
+  newTx = payeeTx(newTx);
+  newTx = ruleTx(newTx, accountById[tx.source_id || tx.destination_id]);
+  return newTx;
+}
+
+function ruleTx(tx, account) {
+  const { tx: newTx, matched } = applyRules(tx, account);
+  if (matched.length > 0) {
+    logger().debug({ tx: tx.description, matched, skipped: !newTx }, 'Applied rules');
+  }
   return newTx;
 }
 
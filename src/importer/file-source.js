@@ -0,0 +1,326 @@
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import hash from 'object-hash';
+import moment from 'moment';
+import { readSheet } from 'read-excel-file/node';
+import logger from '../logger.js';
+import { getAccountIdentification } from './last-import-helper.js';
+
+const FORMATS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+  '.ofx': 'ofx',
+  '.qfx': 'ofx',
+  '.qif': 'qif',
+};
+
+const DEFAULT_DATE_FORMATS = ['DD/MM/YYYY', 'DD/MM/YY', 'YYYY-MM-DD', 'DD.MM.YYYY', 'DD-MM-YYYY'];
+
+export const isFileSource = (user) => user.type === 'file';
+
+const getFormat = (user, file) => user.format || FORMATS[path.extname(file).toLowerCase()];
+
+function parseCsv(text, delimiter = ',') {
+  const chars = text.replace(/^\uFEFF/, '');
+  const rows = [[]];
+  let field = '';
+  let quoted = false;
+  const endField = () => {
+    rows[rows.length - 1].push(field);
+    field = '';
+  };
+  for (let i = 0; i < chars.length; i += 1) {
+    const c = chars[i];
+    if (quoted && c === '"' && chars[i + 1] === '"') {
+      field += '"';
+      i += 1;
+    } else if (quoted) {
+      quoted = c !== '"';
+      field += quoted ? c : '';
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      endField();
+    } else if (c === '\n') {
+      endField();
+      rows.push([]);
+    } else if (c !== '\r') {
+      field += c;
+    }
+  }
+  endField();
+  return rows.filter((x) => x.some((cell) => cell.trim() !== ''));
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function getSeparators(user) {
+  const decimal = user.decimalSeparator || '.';
+  return { decimal, thousands: user.thousandsSeparator ?? (decimal === ',' ? '.' : ',') };
+}
+
+/**
+ * Reads an exported amount with the entry's separators. Negatives are a leading or
+ * trailing minus, or accounting style parentheses, e.g. (120.50). Currency symbols and
+ * spaces are ignored, anything else fails the file rather than import a wrong amount.
+ */
+function parseAmount(value, { decimal, thousands }) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value ?? '').replace(/[\s\p{Sc}]/gu, '');
+  if (!text) {
+    return undefined;
+  }
+  const [, open, leading, digits, trailing, close] = text
+    .match(/^(\()?([-+])?([^()+-]*)(-)?(\))?$/) || [];
+  const d = escapeRegex(decimal);
+  const t = escapeRegex(thousands);
+  const number = new RegExp(`^(\\d+|\\d{1,3}(${t}\\d{3})+)(${d}\\d+)?$`);
+  if (!digits || !number.test(digits) || Boolean(open) !== Boolean(close)
+    || (leading && trailing)) {
+    throw new Error(`Can't read amount '${value}' (decimal separator '${decimal}', thousands separator '${thousands}')`);
+  }
+  const amount = Number((thousands ? digits.split(thousands).join('') : digits).replace(decimal, '.'));
+  return open || leading === '-' || trailing ? -amount : amount;
+}
+
+function parseDate(value, dateFormat) {
+  if (value instanceof Date) {
+    return moment(value);
+  }
+  const date = moment(String(value ?? '').trim(), dateFormat || DEFAULT_DATE_FORMATS, true);
+  return date.isValid() ? date : null;
+}
+
+// A mapping value is a column header, or a zero based column index
+function getColumnIndex(header, column) {
+  if (column === undefined) {
+    return -1;
+  }
+  if (typeof column === 'number') {
+    return column;
+  }
+  return header.findIndex((x) => String(x ?? '').trim() === column);
+}
+
+function getRowAmount(get, mapping, separators) {
+  if (mapping.amount !== undefined) {
+    return parseAmount(get('amount'), separators);
+  }
+  const debit = parseAmount(get('debit'), separators);
+  const credit = parseAmount(get('credit'), separators);
+  if (debit === undefined && credit === undefined) {
+    return undefined;
+  }
+  return (credit || 0) - Math.abs(debit || 0);
+}
+
+/**
+ * Maps the rows of a CSV or XLSX export to scraper transactions by the entry's mapping
+ */
+function rowsToTxs(rows, user) {
+  const mapping = user.mapping || {};
+  const separators = getSeparators(user);
+  const [header, ...data] = rows.slice(user.skipRows || 0);
+  const columns = Object.keys(mapping)
+    .reduce((m, x) => ({ ...m, [x]: getColumnIndex(header, mapping[x]) }), {});
+  const missing = ['date', 'description']
+    .filter((x) => columns[x] === undefined || columns[x] === -1);
+  if (missing.length > 0) {
+    throw new Error(`Missing mapped column(s) ${missing.join(', ')} in '${user.name || user.path}'`);
+  }
+
+  return data
+    .map((row) => {
+      const get = (field) => (columns[field] >= 0 ? row[columns[field]] : undefined);
+      const amount = getRowAmount(get, mapping, separators);
+      const date = parseDate(get('date'), mapping.dateFormat);
+      if (amount === undefined || !date) {
+        return null;
+      }
+      const chargedAmount = user.invertAmount ? -amount : amount;
+      const processedDate = parseDate(get('processedDate'), mapping.dateFormat) || date;
+      return {
+        accountNumber: get('account') ? String(get('account')).trim() : undefined,
+        identifier: get('identifier') ? String(get('identifier')).trim() : undefined,
+        date: date.toISOString(),
+        processedDate: processedDate.toISOString(),
+        originalAmount: chargedAmount,
+        originalCurrency: get('currency') || user.currency,
+        chargedAmount,
+        chargedCurrency: user.currency,
+        description: String(get('description') ?? '').trim(),
+        memo: get('memo') ? String(get('memo')).trim() : undefined,
+        category: get('category') || undefined,
+      };
+    })
+    .filter((x) => x);
+}
+
+const getOfxTag = (block, tag) => block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))?.[1]?.trim();
+
+function parseOfx(text, user) {
+  const accountNumber = getOfxTag(text, 'ACCTID');
+  const currency = getOfxTag(text, 'CURDEF') || user.currency;
+  const separators = getSeparators(user);
+  const balance = parseAmount(getOfxTag(text.split(/<LEDGERBAL>/i)[1] || '', 'BALAMT'), separators);
+  const txns = text.split(/<STMTTRN>/i).slice(1)
+    .map((block) => {
+      const amount = parseAmount(getOfxTag(block, 'TRNAMT'), separators);
+      const date = moment(getOfxTag(block, 'DTPOSTED')?.slice(0, 8), 'YYYYMMDD', true);
+      return {
+        accountNumber,
+        identifier: getOfxTag(block, 'FITID'),
+        date: date.toISOString(),
+        processedDate: date.toISOString(),
+        originalAmount: amount,
+        originalCurrency: currency,
+        chargedAmount: amount,
+        chargedCurrency: currency,
+        description: getOfxTag(block, 'NAME') || getOfxTag(block, 'MEMO') || '',
+        memo: getOfxTag(block, 'NAME') ? getOfxTag(block, 'MEMO') : undefined,
+      };
+    })
+    .filter((x) => x.chargedAmount !== undefined && moment(x.date).isValid());
+  return { txns, balance };
+}
+
+function parseQif(text, user) {
+  const dateFormat = user.mapping?.dateFormat || ['DD/MM/YYYY', 'DD/MM/YY', "D/M'YY", 'MM/DD/YYYY'];
+  const separators = getSeparators(user);
+  const txns = text.split(/^\^\s*$/m)
+    .map((block) => block.split(/\r?\n/)
+      .filter((x) => x && !x.startsWith('!'))
+      .reduce((m, line) => ({ ...m, [line[0]]: line.slice(1).trim() }), {}))
+    .filter((x) => x.D && (x.T || x.U))
+    .map((x) => {
+      const amount = parseAmount(x.T || x.U, separators);
+      const date = parseDate(x.D, dateFormat);
+      return date && {
+        identifier: x.N || undefined,
+        date: date.toISOString(),
+        processedDate: date.toISOString(),
+        originalAmount: amount,
+        originalCurrency: user.currency,
+        chargedAmount: amount,
+        chargedCurrency: user.currency,
+        description: x.P || x.M || '',
+        memo: x.P ? x.M : undefined,
+        category: x.L || undefined,
+      };
+    })
+    .filter((x) => x);
+  return { txns };
+}
+
+async function parseFile(file, format, user) {
+  const content = await readFile(file);
+  const parsers = {
+    csv: async () => ({ txns: rowsToTxs(parseCsv(content.toString('utf8'), user.delimiter), user) }),
+    xlsx: async () => ({ txns: rowsToTxs(await readSheet(content, user.sheet || 1), user) }),
+    ofx: async () => parseOfx(content.toString('utf8'), user),
+    qif: async () => parseQif(content.toString('utf8'), user),
+  };
+  if (!parsers[format]) {
+    throw new Error(`Unsupported file format '${format}' for '${file}'`);
+  }
+  return {
+    ...(await parsers[format]()),
+    fileHash: createHash('sha256').update(content).digest('hex'),
+  };
+}
+
+// Exports rarely carry a transaction id, so one is made of the row itself. Identical
+// rows in a file (e.g. two coffees on the same day) are told apart by their order.
+function withIdentifiers(txns) {
+  const seen = {};
+  return txns.map((x) => {
+    if (x.identifier) {
+      return x;
+    }
+    const key = hash({
+      date: x.date,
+      amount: x.chargedAmount,
+      description: x.description,
+      accountNumber: x.accountNumber,
+    });
+    seen[key] = (seen[key] || 0) + 1;
+    return { ...x, identifier: hash({ key, occurrence: seen[key] }) };
+  });
+}
+
+function toAccounts(parsed, user) {
+  return parsed
+    .flatMap((x) => withIdentifiers(x.txns).map((tx) => ({ ...tx, balance: x.balance })))
+    .reduce((m, { accountNumber, balance, ...tx }) => {
+      // The folder name is the last resort, leumi.js and others split the account number
+      const number = String(user.accountNumber || accountNumber || user.name
+        || path.basename(path.resolve(user.path)));
+      const account = m[number] || { accountNumber: number, txns: [] };
+      // Overlapping exports list the same transactions
+      if (account.txns.some((x) => x.identifier === tx.identifier)) {
+        return m;
+      }
+      return {
+        ...m,
+        [number]: {
+          ...account,
+          ...(balance !== undefined && { balance }),
+          txns: [...account.txns, { type: 'normal', status: 'completed', ...tx }],
+        },
+      };
+    }, {});
+}
+
+/**
+ * Reads the not yet imported exports in the entry's folder, as a scrape result would
+ * @param {object} user - Flat user of a `type: file` entry
+ * @param {object} importedFiles - Hashes of the already imported files, by account
+ * @returns {Promise<object>} - Scrape result, with the hashes of the files read
+ */
+export async function readFileSource(user, importedFiles = {}) {
+  try {
+    const dir = path.resolve(user.path);
+    const files = (await readdir(dir))
+      .filter((x) => getFormat(user, x))
+      .sort()
+      .map((x) => path.join(dir, x));
+    const parsed = (await Promise.all(files.map((x) => parseFile(x, getFormat(user, x), user))))
+      .map((x, i) => ({ ...x, file: files[i] }));
+    const imported = importedFiles[getAccountIdentification(user)] || [];
+    const toImport = parsed.filter((x) => !imported.includes(x.fileHash));
+    logger().info({
+      account: user.name || user.path,
+      files: toImport.map((x) => path.basename(x.file)),
+      skipped: parsed.length - toImport.length,
+    }, 'Reading exported files');
+    return {
+      success: true,
+      accounts: Object.values(toAccounts(toImport, user)),
+      fileHashes: toImport.map((x) => x.fileHash),
+    };
+  } catch (error) {
+    logger().error({ error, account: user.name || user.path }, 'Failed reading exported files');
+    return {
+      success: false,
+      errorType: 'FILE_ERROR',
+      errorMessage: error.message,
+    };
+  }
+}
+
+/**
+ * Adds the hashes of the files read in this run to the state's imported files
+ */
+export function getStateWithImportedFiles(results, flatUsers, state) {
+  const importedFiles = results
+    .map((x, i) => ({ result: x, user: flatUsers[i] }))
+    .filter((x) => isFileSource(x.user) && x.result.success)
+    .reduce((m, { result, user }) => {
+      const key = getAccountIdentification(user);
+      return { ...m, [key]: [...new Set([...(m[key] || []), ...result.fileHashes])] };
+    }, state.importedFiles || {});
+  return { ...state, importedFiles };
+}
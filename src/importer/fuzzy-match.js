@@ -0,0 +1,134 @@
+import { writeFile } from 'node:fs/promises';
+import moment from 'moment';
+import config from 'nconf';
+import logger from '../logger.js';
+import { normalizeMerchant } from './payee.js';
+import {
+  getOwnAccountId,
+  getPendingTag,
+  getScrapWindows,
+  sameAmount,
+} from './pending.js';
+
+export function isFuzzyMatchEnabled() {
+  return config.get('fuzzyMatch:enabled') === true;
+}
+
+const getAmbiguousTag = () => config.get('fuzzyMatch:ambiguousTag') || 'possible-duplicate';
+
+function getBigrams(text) {
+  const normalized = normalizeMerchant(text).toLowerCase();
+  return Array.from(
+    { length: Math.max(normalized.length - 1, 0) },
+    (_, i) => normalized.slice(i, i + 2),
+  );
+}
+
+/**
+ * Dice coefficient of the descriptions' character bigrams
+ * @returns {number} - 0 (nothing in common) to 1 (same normalized description)
+ */
+export function similarity(a, b) {
+  const aBigrams = getBigrams(a);
+  const bBigrams = getBigrams(b);
+  if (aBigrams.length === 0 || bBigrams.length === 0) {
+    return normalizeMerchant(a).toLowerCase() === normalizeMerchant(b).toLowerCase() ? 1 : 0;
+  }
+  const counts = aBigrams.reduce((m, x) => ({ ...m, [x]: (m[x] || 0) + 1 }), {});
+  const common = bBigrams.reduce((m, x) => {
+    if (!counts[x]) {
+      return m;
+    }
+    counts[x] -= 1;
+    return m + 1;
+  }, 0);
+  return (2 * common) / (aBigrams.length + bBigrams.length);
+}
+
+function getCandidates(tx, orphans, claimed) {
+  const windowDays = config.get('fuzzyMatch:dateWindowDays');
+  const date = moment(tx.date);
+  return orphans
+    .filter((x) => !claimed.has(x.id))
+    .filter((x) => x.type === tx.type)
+    .filter((x) => getOwnAccountId(x.tx) === getOwnAccountId(tx))
+    .filter((x) => sameAmount(x.tx, tx))
+    .filter((x) => Math.abs(moment(x.tx.date).diff(date, 'days')) <= windowDays)
+    .map((current) => ({ current, score: similarity(current.tx.description, tx.description) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Second pass for transactions whose external id isn't in Firefly: looks for a Firefly
+ * transaction no scrapped transaction claims (e.g. its id changed since the bank edited
+ * the memo) on the same account, with the same amount, a close date and a similar description
+ * @returns {{toCreate: Array, toAdopt: Array, ambiguous: Array}} - Transactions that are
+ * really new, ones to adopt an existing transaction, and ones with several possible matches
+ * (still created, tagged with fuzzyMatch.ambiguousTag for review)
+ */
+export function matchFuzzy(newTxs, currentTxMap, preparedFireTxs, accounts, accountsMaps) {
+  const minSimilarity = config.get('fuzzyMatch:minSimilarity');
+  const scrapedExtIds = new Set(preparedFireTxs.map((x) => x.external_id));
+  // Only what the scraper could have seen is an orphan, older transactions aren't claimed
+  // because they weren't scrapped at all
+  const windows = getScrapWindows(accounts, accountsMaps);
+  const orphans = Object.entries(currentTxMap)
+    .filter(([extId]) => !scrapedExtIds.has(extId))
+    .map(([, x]) => x)
+    .filter((x) => !(x.tx.tags || []).includes(getPendingTag()))
+    .filter((x) => {
+      const from = windows[getOwnAccountId(x.tx)];
+      return from && !moment(x.tx.date).isBefore(from, 'day');
+    });
+  const claimed = new Set();
+
+  return newTxs.reduce((m, tx) => {
+    const matches = getCandidates(tx, orphans, claimed)
+      .filter((x) => x.score >= minSimilarity);
+    if (matches.length === 0) {
+      return { ...m, toCreate: [...m.toCreate, tx] };
+    }
+    if (matches.length > 1) {
+      const tagged = { ...tx, tags: [...new Set([...(tx.tags || []), getAmbiguousTag()])] };
+      return {
+        ...m,
+        toCreate: [...m.toCreate, tagged],
+        ambiguous: [...m.ambiguous, { tx, candidates: matches }],
+      };
+    }
+    const [{ current, score }] = matches;
+    claimed.add(current.id);
+    return { ...m, toAdopt: [...m.toAdopt, { current, tx, score }] };
+  }, { toCreate: [], toAdopt: [], ambiguous: [] });
+}
+
+/**
+ * Logs the ambiguous matches, and writes them to fuzzyMatch.reportFile unless it's a dry run
+ */
+export async function reportAmbiguous(ambiguous, dryRun) {
+  if (ambiguous.length === 0) {
+    return;
+  }
+  const report = ambiguous.map(({ tx, candidates }) => ({
+    tx: {
+      date: tx.date,
+      amount: tx.amount,
+      description: tx.description,
+      external_id: tx.external_id,
+    },
+    candidates: candidates.map(({ current, score }) => ({
+      id: current.id,
+      date: current.tx.date,
+      description: current.tx.description,
+      external_id: current.tx.external_id,
+      score: Math.round(score * 100) / 100,
+    })),
+  }));
+  logger().warn({ ambiguous: report, tag: getAmbiguousTag() }, 'Transactions with more than one possible existing match, created as new and tagged for review');
+
+  const reportFile = config.get('fuzzyMatch:reportFile');
+  if (reportFile && !dryRun) {
+    await writeFile(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    logger().info({ reportFile }, 'Ambiguous matches report written');
+  }
+}
@@ -3,26 +3,46 @@ import config from 'nconf';
 import moment from 'moment';
 import manipulateTxs from './credit-cards.js';
 import {
+  clearCache,
   createAccount,
   createTx,
   deleteTx,
   getAccounts,
   getAllTxs,
-  getConfig,
+  isRetryable,
+  runWriteQueue,
   searchTxs,
   updateTx,
-  upsertConfig,
 } from '../firefly.js';
 import {
+  getFailedScrappedUsers,
   getFlatUsers,
   getLightResult,
   getSuccessfulScrappedUsers,
   logErrorResult,
+  logScrapSummary,
   parseScrapResult,
   scrapAccounts,
 } from './scrapper.js';
 import logger from '../logger.js';
 import { getStateWithLastImport } from './last-import-helper.js';
+import { getStateWithImportedFiles } from './file-source.js';
+import { getStateWithOverlap } from './overlap.js';
+import { loadState, saveState } from './state-store.js';
+import { loadPlugins, runHookOnAll } from './scrap-manipulater/plugins.js';
+import { getPendingTag, isPendingEnabled, matchPendingTxs } from './pending.js';
+import { isFuzzyMatchEnabled, matchFuzzy, reportAmbiguous } from './fuzzy-match.js';
+import {
+  addPlannedAccount,
+  addPlannedChange,
+  addPlannedDrop,
+  addPlannedRetries,
+  createPlan,
+  diffTx,
+  formatPlan,
+  getPlanTotals,
+  writePlan,
+} from './plan.js';
 
 async function getMappedTransactions(scrapeFormattedTxs) {
   const minimalDate = scrapeFormattedTxs
@@ -40,26 +60,52 @@ async function getMappedTransactions(scrapeFormattedTxs) {
   return getExistsTxMap(workingTxs);
 }
 
-function getCurrencyCode(x) {
-  const currency = x.chargedCurrency || x.originalCurrency;
+function toCurrencyCode(currency) {
   if (!currency) {
     return undefined;
   }
   return config.get('currencySymbolMap')[currency] || currency;
 }
 
-async function getFireflyState() {
-  try {
-    const axiosState = await getConfig();
-    return JSON.parse(axiosState.data.data.attributes.data);
-  } catch (err) {
-    if (err?.response?.status === 404) {
-      logger()
-        .debug('Firefly previous state not found (its ok if its first run), using empty object.');
-      return {};
-    }
-    throw err;
+function getCurrencyCode(x) {
+  return toCurrencyCode(x.chargedCurrency || x.originalCurrency);
+}
+
+// For installments the charged amount is a single payment of the original amount,
+// so the two aren't comparable.
+function getForeignAmount(x) {
+  const currencyCode = getCurrencyCode(x);
+  const foreignCurrencyCode = toCurrencyCode(x.originalCurrency);
+  if (!x.originalAmount || !foreignCurrencyCode || foreignCurrencyCode === currencyCode
+    || x.installments?.total > 1) {
+    return null;
   }
+  return {
+    foreign_amount: Math.abs(x.originalAmount),
+    foreign_currency_code: foreignCurrencyCode,
+  };
+}
+
+function getNotes(x) {
+  const foreign = getForeignAmount(x);
+  if (!foreign) {
+    return x.memo;
+  }
+  const rate = (Math.abs(x.chargedAmount) / foreign.foreign_amount).toFixed(4);
+  const rateNote = `Exchange rate: 1 ${foreign.foreign_currency_code} = ${rate} ${getCurrencyCode(x) || ''}`.trim();
+  return x.memo ? `${x.memo}\n${rateNote}` : rateNote;
+}
+
+function getStateKeyById(accounts, accountsMaps) {
+  return accounts
+    .filter((x) => accountsMaps[x.accountNumber])
+    .reduce((m, x) => ({ ...m, [accountsMaps[x.accountNumber].id]: x.stateKey }), {});
+}
+
+function findAccount(accountsMaps, id) {
+  const [accountNumber, account] = Object.entries(accountsMaps)
+    .find(([, x]) => x.id === id) || [];
+  return account && { ...account, accountNumber };
 }
 
 export default async function doImport(options) {
@@ -67,87 +113,312 @@ export default async function doImport(options) {
   const { onlyAccounts } = options;
   const { cleanup } = options;
   const { since } = options;
+  const { dryRun } = options;
+  const { planFile } = options;
+  const recordDir = options.recordDir ?? config.get('scraper:recordDir');
+  const replayDir = options.replayDir ?? config.get('scraper:replayDir');
+
+  clearCache();
+  await loadPlugins();
+  const plan = dryRun ? createPlan() : null;
+  if (plan) {
+    logger().info('Dry run, nothing will be written to firefly.');
+  }
 
   if (cleanup) {
-    await drop();
+    await drop(plan);
   }
 
-  logger().info('Getting state from firefly...');
-  const state = await getFireflyState();
+  logger().info('Getting state...');
+  const state = await loadState();
   const lastImportState = state.lastImport;
 
   logger().info('Getting scrap data...');
-  const flatUsers = getFlatUsers(onlyAccounts, lastImportState, since);
-  const scrapResult = await scrapAccounts(flatUsers);
+  const flatUsers = getFlatUsers(onlyAccounts, lastImportState, since, state.overlap);
+  const scrapResult = await scrapAccounts(flatUsers, {
+    recordDir,
+    replayDir,
+    importedFiles: state.importedFiles,
+  });
   logErrorResult(scrapResult, flatUsers);
+  logScrapSummary(scrapResult, flatUsers);
   if (logger().level === 'debug') {
     logger()
       .debug({ results: getLightResult(scrapResult) }, 'Scrap result');
   }
-  const accounts = parseScrapResult(scrapResult, flatUsers);
+  const accounts = await parseScrapResult(scrapResult, flatUsers);
+  const failedAccounts = getFailedScrappedUsers(scrapResult, flatUsers)
+    .map((x) => x.name || x.type);
 
   logger().info('Getting or creating accounts...');
-  const accountsMaps = await createAndMapAccounts(accounts);
+  const accountsMaps = await createAndMapAccounts(accounts, plan);
 
-  const scrapeFormattedTxs = accounts
+  const scrapedTxs = await runHookOnAll('transaction', accounts
     .reduce((m, a) => ([...m, ...a.txns
       .map((tx) => ({
         ...tx,
         account: accountsMaps[a.accountNumber],
-      }))]), [])
-    .filter((x) => x.status === 'completed')
+      }))]), []), (x) => ({ account: x.account }));
+  const scrapeFormattedTxs = scrapedTxs
+    .filter((x) => x.status === 'completed' || (isPendingEnabled() && x.status === 'pending'))
     .filter((x) => x.chargedAmount)
     .map((x) => ({
       type: x.chargedAmount > 0 ? 'deposit' : 'withdrawal',
       date: x.date,
       amount: Math.abs(x.chargedAmount),
       description: x.description,
-      notes: x.memo,
+      notes: getNotes(x),
       source_id: x.chargedAmount > 0 ? undefined : x.account.id,
       destination_id: x.chargedAmount > 0 ? x.account.id : undefined,
       internal_reference: x.identifier,
-      external_id: getExternalId(x),
+      external_id: x.status === 'pending' ? getPendingExternalId(x) : getExternalId(x),
       currency_code: getCurrencyCode(x),
+      ...getForeignAmount(x),
       process_date: x.processedDate,
       category_name: x.category,
+      tags: x.status === 'pending' ? [getPendingTag()] : undefined,
     }));
 
   logger().info('Manipulating...');
-  const preparedFireTxs = await manipulateTxs(scrapeFormattedTxs, accountsMaps);
-  const currentTxMap = await getMappedTransactions(scrapeFormattedTxs);
+  const preparedFireTxs = await runHookOnAll(
+    'fireflyTransaction',
+    await manipulateTxs(scrapeFormattedTxs, accountsMaps),
+    (x) => ({ account: findAccount(accountsMaps, x.source_id || x.destination_id) }),
+  );
+  // A planned drop would leave firefly empty, so everything counts as new
+  const currentTxMap = plan?.drop ? {} : await getMappedTransactions(scrapeFormattedTxs);
+
+  const { toReplace, toDelete } = isPendingEnabled() && !plan?.drop
+    ? await matchPendingTxs(preparedFireTxs, currentTxMap, accounts, accountsMaps)
+    : { toReplace: [], toDelete: [] };
+  const replacedExtIds = toReplace.map((x) => x.tx.external_id);
+
+  const newTxs = preparedFireTxs
+    .filter((x) => !currentTxMap[x.external_id] && !replacedExtIds.includes(x.external_id));
+  const { toCreate, toAdopt, ambiguous } = isFuzzyMatchEnabled()
+    ? matchFuzzy(newTxs, currentTxMap, preparedFireTxs, accounts, accountsMaps)
+    : { toCreate: newTxs, toAdopt: [], ambiguous: [] };
+  await reportAmbiguous(ambiguous, dryRun);
+  const toTypeUpdate = preparedFireTxs
+    .filter((x) => currentTxMap[x.external_id] && currentTxMap[x.external_id].type !== x.type);
+  const toUpdate = skipEdit ? [] : preparedFireTxs
+    .filter((x) => currentTxMap[x.external_id] && currentTxMap[x.external_id].type === x.type);
+  const toRetry = await getWritesToRetry(state.failedWrites || [], preparedFireTxs, currentTxMap);
+
+  if (plan) {
+    await reportPlan(plan, planFile, {
+      toCreate,
+      toTypeUpdate,
+      toUpdate,
+      toReplace,
+      toDelete,
+      toAdopt,
+      toRetry,
+      currentTxMap,
+      accountsMaps,
+      accounts,
+    });
+    return { plan, failedAccounts, failedWrites: [] };
+  }
+
+  const failedWrites = [];
+  if (toRetry.length > 0) {
+    logger().info({ count: toRetry.length }, 'Retrying failed writes of the last run...');
+    failedWrites.push(...await runWriteQueue(toRetry, writeOp, 'retried'));
+  }
+
+  if (toAdopt.length > 0) {
+    logger().info({ count: toAdopt.length }, 'Adopting existing transactions with a changed external id...');
+    failedWrites.push(...await runWriteQueue(toAdopt
+      .map((x) => ({ op: 'adopt', id: x.current.id, tx: x.tx })), writeOp, 'adopted'));
+  }
 
-  const toCreate = preparedFireTxs.filter((x) => !currentTxMap[x.external_id]);
   const insertDebugData = logger().level === 'debug' ? { toCreate } : {};
   logger()
     .info({ count: toCreate.length, ...insertDebugData }, 'Creating transactions to firefly...');
-  await toCreate.reduce((p, x, i) => p
-    .then(() => innerCreateTx(x, i + 1)), Promise.resolve());
+  failedWrites.push(...await runWriteQueue(toCreate
+    .map((tx) => ({ op: 'create', tx })), writeOp, 'created'));
 
-  const toTypeUpdate = preparedFireTxs
-    .filter((x) => currentTxMap[x.external_id] && currentTxMap[x.external_id].type !== x.type);
   const updateDebugData = logger().level === 'debug' ? { toTypeUpdate } : {};
   logger()
     .info({ count: toTypeUpdate.length, ...updateDebugData }, 'Updating transactions types to firefly...');
-  await toTypeUpdate.reduce((p, x, i) => p
-    .then(() => innerUpdateTx(currentTxMap[x.external_id], x, i + 1)), Promise.resolve());
+  failedWrites.push(...await runWriteQueue(toTypeUpdate
+    .map((tx) => toUpdateOp(currentTxMap[tx.external_id], tx)), writeOp, 'updated'));
 
   if (!skipEdit) {
-    const toUpdate = preparedFireTxs
-      .filter((x) => currentTxMap[x.external_id] && currentTxMap[x.external_id].type === x.type);
     logger().info({ count: toUpdate.length }, 'Updating transactions to firefly...');
-    await toUpdate.reduce((p, x, i) => p
-      .then(() => innerUpdateTx(currentTxMap[x.external_id], x, i + 1)), Promise.resolve());
+    failedWrites.push(...await runWriteQueue(toUpdate
+      .map((tx) => toUpdateOp(currentTxMap[tx.external_id], tx)), writeOp, 'updated'));
   }
 
+  if (toReplace.length > 0 || toDelete.length > 0) {
+    logger().info({
+      completed: toReplace.length,
+      vanished: toDelete.length,
+    }, 'Replacing completed and removing vanished pending transactions...');
+    failedWrites.push(...await runWriteQueue([
+      ...toReplace.map((x) => toUpdateOp(x.current, x.tx)),
+      ...toDelete.map((x) => ({ op: 'delete', id: x.id, tx: x.tx })),
+    ], writeOp, 'replaced'));
+  }
+
+  logFailedWrites(failedWrites);
+
   const accountsBalance = await getFireflyAccountsBalance();
   await reconcileBalances(accountsBalance, accounts);
 
-  logger().info('Updating last import...');
-  const scrappedUsers = getSuccessfulScrappedUsers(scrapResult, flatUsers);
-  const updatedState = getStateWithLastImport(scrappedUsers, state);
-  await upsertConfig(JSON.stringify(updatedState));
+  // Replayed data is as old as its recording, so it doesn't move the last import
+  const scrappedUsers = replayDir ? [] : getSuccessfulScrappedUsers(scrapResult, flatUsers);
+  logger().info(replayDir ? 'Saving state (replay, last import unchanged)...' : 'Updating last import...');
+  // A forced --since or replayed data says nothing about how late transactions show up
+  const learnedState = since || replayDir ? state : getStateWithOverlap(
+    state,
+    toCreate,
+    getStateKeyById(accounts, accountsMaps),
+    getSuccessfulScrappedUsers(scrapResult, flatUsers),
+  );
+  const filesState = replayDir
+    ? learnedState
+    : getStateWithImportedFiles(scrapResult, flatUsers, learnedState);
+  const updatedState = {
+    ...getStateWithLastImport(scrappedUsers, filesState),
+    // A write Firefly rejected (e.g. a 422) would fail the same way on every run
+    failedWrites: failedWrites.filter((x) => isRetryable(x.error)).map((x) => x.item),
+  };
+  await saveState(updatedState);
 
   logger().info('Done.');
+  return { plan: null, failedAccounts, failedWrites };
+}
+
+const toUpdateOp = ({ id, type }, tx) => ({
+  op: 'update',
+  id,
+  type,
+  tx,
+});
+
+// Creates that this run handles anyway, or that reached Firefly before failing
+// (e.g. on a timeout), are dropped
+async function getWritesToRetry(failedWrites, preparedFireTxs, currentTxMap) {
+  const scrapedExtIds = new Set(preparedFireTxs.map((x) => x.external_id));
+  return failedWrites.reduce((p, x) => p.then(async (m) => {
+    if (x.op !== 'create') {
+      return [...m, x];
+    }
+    const extId = x.tx.external_id;
+    if (currentTxMap[extId] || scrapedExtIds.has(extId)) {
+      return m;
+    }
+    const existing = await searchTxs({ external_id_is: extId });
+    return existing.length > 0 ? m : [...m, x];
+  }), Promise.resolve([]));
+}
+
+const toFailedWriteLog = ({ item, error }) => ({
+  op: item.op,
+  id: item.id,
+  date: item.tx.date,
+  amount: item.tx.amount,
+  description: item.tx.description,
+  external_id: item.tx.external_id,
+  status: error?.response?.status,
+  message: error?.response?.data?.message || error?.message,
+});
+
+function logFailedWrites(failedWrites) {
+  const transient = failedWrites.filter((x) => isRetryable(x.error));
+  const permanent = failedWrites.filter((x) => !isRetryable(x.error));
+  if (transient.length > 0) {
+    logger().error({
+      count: transient.length,
+      failed: transient.map(toFailedWriteLog),
+    }, 'Some writes to firefly failed, they will be retried on the next run');
+  }
+  if (permanent.length > 0) {
+    logger().error({
+      count: permanent.length,
+      failed: permanent.map(toFailedWriteLog),
+    }, 'Some writes were rejected by firefly, they won\'t be retried, fix them by hand');
+  }
+}
+
+async function reportPlan(plan, planFile, {
+  toCreate,
+  toTypeUpdate,
+  toUpdate,
+  toReplace,
+  toDelete,
+  toAdopt,
+  toRetry,
+  currentTxMap,
+  accountsMaps,
+  accounts,
+}) {
+  const accountNumberById = Object.entries(accountsMaps)
+    .reduce((m, [accountNumber, x]) => ({ ...m, [x.id]: accountNumber }), {});
+  // Transfers are listed under their source, the side the scraper reported
+  const getAccountNumber = (tx) => accountNumberById[tx.type === 'deposit' ? tx.destination_id : tx.source_id];
+
+  toCreate.forEach((tx) => addPlannedChange(plan, 'creates', getAccountNumber(tx), { tx }));
+  toTypeUpdate.forEach((tx) => addPlannedChange(plan, 'typeUpdates', getAccountNumber(tx), {
+    id: currentTxMap[tx.external_id].id,
+    fromType: currentTxMap[tx.external_id].type,
+    tx,
+  }));
+  toUpdate
+    .map((tx) => ({ tx, current: currentTxMap[tx.external_id] }))
+    .map((x) => ({ ...x, changes: diffTx(x.current.tx, x.tx) }))
+    .filter((x) => x.changes.length > 0)
+    .forEach((x) => addPlannedChange(plan, 'updates', getAccountNumber(x.tx), {
+      id: x.current.id,
+      changes: x.changes,
+      tx: x.tx,
+    }));
+  toReplace.forEach((x) => addPlannedChange(plan, 'replaces', getAccountNumber(x.tx), {
+    id: x.current.id,
+    changes: diffTx(x.current.tx, x.tx),
+    tx: x.tx,
+  }));
+  toDelete.forEach((x) => addPlannedChange(plan, 'deletes', getAccountNumber(x.tx), {
+    id: x.id,
+    tx: x.tx,
+  }));
+  addPlannedRetries(plan, toRetry);
+  toAdopt.forEach((x) => addPlannedChange(plan, 'adopts', getAccountNumber(x.tx), {
+    id: x.current.id,
+    fromExternalId: x.current.tx.external_id,
+    score: x.score,
+    tx: x.tx,
+  }));
+
+  const accountsBalance = withPlannedCreates(
+    await getFireflyAccountsBalance(),
+    toCreate,
+    toDelete.map((x) => x.tx),
+  );
+  await reconcileBalances(accountsBalance, accounts, plan);
+
+  logger().info({ totals: getPlanTotals(plan) }, `Import plan (dry run):\n${formatPlan(plan)}`);
+  if (planFile) {
+    await writePlan(plan, planFile);
+    logger().info({ planFile }, 'Import plan written');
+  }
+}
+
+// Firefly balances don't include the transactions the plan would create or delete
+// yet, so shift them accordingly before estimating the balance adjustments.
+function withPlannedCreates(fireflyAccounts, toCreate, toDelete = []) {
+  const addDelta = (sign) => (m, x) => ({
+    ...m,
+    ...(x.source_id && { [x.source_id]: (m[x.source_id] || 0) - sign * x.amount }),
+    ...(x.destination_id && { [x.destination_id]: (m[x.destination_id] || 0) + sign * x.amount }),
+  });
+  const deltaById = toDelete.reduce(addDelta(-1), toCreate.reduce(addDelta(1), {}));
+  return fireflyAccounts.map((x) => ({
+    ...x,
+    balance: round2(x.balance + (deltaById[x.id] || 0)),
+  }));
 }
 
 function getExistsTxMap(fireflyData) {
@@ -156,16 +427,19 @@ function getExistsTxMap(fireflyData) {
       type: x.attributes.transactions[0].type,
       ext_id: x.attributes.transactions[0].external_id,
       id: x.id,
+      tx: x.attributes.transactions[0],
     }))
     .reduce((m, {
       id,
       ext_id: extId,
       type,
+      tx,
     }) => ({
       ...m,
       [extId]: {
         id,
         type,
+        tx,
       },
     }), {});
 }
@@ -184,8 +458,8 @@ function calcMonthlyPaymentDate(account) {
 }
 
 async function getFireflyAccountsBalance() {
-  const rawAccounts = await getAccounts();
-  return rawAccounts.data.data
+  const rawAccounts = await getAccounts('asset');
+  return rawAccounts
     .map((x) => ({
       id: x.id,
       accountNumber: x.attributes.account_number,
@@ -198,7 +472,7 @@ async function getFireflyAccountsBalance() {
 
 const round2 = (n) => Math.round(n * 100) / 100;
 
-async function reconcileBalances(fireflyAccounts, scrapeAccounts) {
+async function reconcileBalances(fireflyAccounts, scrapeAccounts, plan) {
   const fireflyAccountsBalanceMap = fireflyAccounts
     .reduce((m, x) => ({
       ...m,
@@ -253,6 +527,13 @@ async function reconcileBalances(fireflyAccounts, scrapeAccounts) {
       tags: ['balance-adjustment'],
     };
 
+    if (plan) {
+      addPlannedChange(plan, 'adjustments', accountNumber, {
+        date: today, fireflyBalance, scrapeBalance, diff, tx,
+      });
+      return;
+    }
+
     try {
       await createTx([tx]);
       logger().info({
@@ -264,14 +545,14 @@ async function reconcileBalances(fireflyAccounts, scrapeAccounts) {
   }), Promise.resolve());
 }
 
-async function createAndMapAccounts(scrapperAccounts) {
+async function createAndMapAccounts(scrapperAccounts, plan) {
   const map = scrapperAccounts.reduce((m, x) => ({
     ...m,
     [x.accountNumber]: x,
   }), {});
 
-  const rawAccounts = await getAccounts();
-  const accountsMap = rawAccounts.data.data
+  const rawAccounts = await getAccounts('asset');
+  const accountsMap = rawAccounts
     .filter((x) => x.attributes.account_number && map[x.attributes.account_number])
     .map((x) => ({
       id: x.id,
@@ -294,17 +575,34 @@ async function createAndMapAccounts(scrapperAccounts) {
 
   logger().info({ missedAccounts }, 'Accounts are missing from Firefly, creating them...');
 
+  const toAccountData = (a) => ({
+    name: a,
+    account_number: a,
+    type: 'asset',
+    account_role: map[a].accountDetails.kind === 'bank' ? 'defaultAsset' : 'ccAsset',
+    ...(map[a].accountDetails.kind !== 'bank' ? {
+      credit_card_type: 'monthlyFull',
+      monthly_payment_date: calcMonthlyPaymentDate(map[a]),
+    } : {}),
+  });
+
+  if (plan) {
+    // Placeholder ids keep the planned transactions linked to their account
+    return missedAccounts.reduce((m, a) => {
+      addPlannedAccount(plan, toAccountData(a));
+      return {
+        ...m,
+        [a]: {
+          ...map[a].accountDetails,
+          id: `new-${a}`,
+        },
+      };
+    }, accountsMap);
+  }
+
   const results = await missedAccounts
-    .reduce((m, a) => m.then(async (x) => [...x, await createAccount({
-      name: a,
-      account_number: a,
-      type: 'asset',
-      account_role: map[a].accountDetails.kind === 'bank' ? 'defaultAsset' : 'ccAsset',
-      ...(map[a].accountDetails.kind !== 'bank' ? {
-        credit_card_type: 'monthlyFull',
-        monthly_payment_date: calcMonthlyPaymentDate(map[a]),
-      } : {}),
-    })]), Promise.resolve([]));
+    .reduce((m, a) => m
+      .then(async (x) => [...x, await createAccount(toAccountData(a))]), Promise.resolve([]));
 
   return results.reduce((m, x) => ({
     ...m,
@@ -315,33 +613,42 @@ async function createAndMapAccounts(scrapperAccounts) {
   }), accountsMap);
 }
 
-async function drop() {
+export async function drop(plan) {
   logger().info('Getting data for drop');
   const fireflyData = await getAllTxs();
   const toDrop = fireflyData
     .map((x) => ({ id: x.id, ...x.attributes.transactions[0] }));
 
+  if (plan) {
+    addPlannedDrop(plan, toDrop.length);
+    return;
+  }
+
   logger().info({
     count: toDrop.length,
     total: fireflyData.length,
   }, 'Dropping transactions');
 
-  let count = 1;
-  await toDrop.reduce((p, tx) => p.then(async () => {
-    await deleteTx(tx.id);
-    count += 1;
-    if (count % 50 === 0) {
-      logger().info({ currentAmount: count }, 'Transactions deleted');
-    }
-  }, Promise.resolve()));
+  const failed = await runWriteQueue(toDrop, (tx) => deleteTx(tx.id), 'deleted');
+  if (failed.length > 0) {
+    logger().error({ count: failed.length }, 'Some transactions failed to delete');
+  }
+}
+
+const writers = {
+  create: ({ tx }) => innerCreateTx(tx),
+  update: ({ id, type, tx }) => innerUpdateTx({ id, type }, tx),
+  adopt: ({ id, tx }) => innerAdoptTx({ id }, tx),
+  delete: ({ id, tx }) => innerDeleteTx({ id, tx }),
+};
+
+function writeOp(x) {
+  return writers[x.op](x);
 }
 
-async function innerCreateTx(tx, count) {
+async function innerCreateTx(tx) {
   try {
     await createTx([tx]);
-    if (count % 50 === 0) {
-      logger().info({ currentAmount: count }, 'Transactions created.');
-    }
   } catch (e) {
     logger()
       .error({
@@ -349,13 +656,47 @@ async function innerCreateTx(tx, count) {
         error: e,
         tx,
       }, 'Error creating transaction');
+    throw e;
+  }
+}
+
+// Only the external id is updated, so edits made in Firefly are kept
+async function innerAdoptTx({ id }, tx) {
+  try {
+    await updateTx(id, [{ external_id: tx.external_id }]);
+  } catch (e) {
+    logger()
+      .error({
+        message: e?.response?.data?.message,
+        error: e,
+        tx,
+      }, 'Error adopting transaction');
+    throw e;
+  }
+}
+
+async function innerDeleteTx({ id, tx }) {
+  try {
+    await deleteTx(id);
+  } catch (e) {
+    // Already gone, e.g. deleted by a request that failed after reaching Firefly
+    if (e?.response?.status === 404) {
+      return;
+    }
+    logger()
+      .error({
+        message: e?.response?.data?.message,
+        error: e,
+        tx,
+      }, 'Error deleting transaction');
+    throw e;
   }
 }
 
 async function innerUpdateTx({
   id,
   type,
-}, tx, count) {
+}, tx) {
   try {
     if (type !== tx.type) {
       await deleteTx(id);
@@ -363,9 +704,6 @@ async function innerUpdateTx({
     } else {
       await updateTx(id, [tx]);
     }
-    if (count % 50 === 0) {
-      logger().info({ currentAmount: count }, 'Transactions updated.');
-    }
   } catch (e) {
     logger()
       .error({
@@ -373,6 +711,7 @@ async function innerUpdateTx({
         error: e,
         tx,
       }, 'Error updating transaction');
+    throw e;
   }
 }
 
@@ -390,6 +729,12 @@ function omitFields(tx) {
   return rest;
 }
 
+// Pending transactions may lack an identifier, or share it with their completed
+// counterpart, so they get their own id space and are matched separately.
+function getPendingExternalId(tx) {
+  return `pending_${getters.hash(tx)}`;
+}
+
 function getExternalId(tx) {
   const identifyMethod = config.get('identifyMethod')[tx.account.type] || 'identifier';
   const getter = getters[identifyMethod] || getters.identifier;
@@ -1,4 +1,5 @@
 import moment from 'moment';
+import hash from 'object-hash';
 
 const identifyAccountByType = {
   leumi: (c) => c.username,
@@ -14,10 +15,34 @@ const identifyAccountByType = {
   discount: (c) => c.id,
   'beyahad-bishvilha': (c) => c.id,
   hapoalim: (c) => c.userCode,
+  file: (c, user) => user.name || user.path,
 };
 
-function getAccountIdentification(user) {
-  return `${user.type}_${identifyAccountByType[user.type](user.credentials)}`;
+// Credential fields that must not end up in the state, even hashed
+const SECRET_FIELDS = ['password', 'otpLongTermToken', 'otpCodeRetriever'];
+
+// For types without an entry above: a stable hash of the credential fields that
+// identify the login (username, id, email, ...), or the config entry when there are none
+function identifyGeneric(credentials, user) {
+  const fields = Object.keys(credentials || {})
+    .filter((x) => !SECRET_FIELDS.includes(x) && typeof credentials[x] !== 'function')
+    .sort()
+    .reduce((m, x) => ({ ...m, [x]: credentials[x] }), {});
+  if (Object.keys(fields).length === 0) {
+    return user.name || user.configPath;
+  }
+  return hash(fields);
+}
+
+/**
+ * Key of the account's last import in the state, the entry's stateKey when set
+ */
+export function getAccountIdentification(user) {
+  if (user.stateKey) {
+    return user.stateKey;
+  }
+  const identify = identifyAccountByType[user.type] || identifyGeneric;
+  return `${user.type}_${identify(user.credentials, user)}`;
 }
 
 export function getLastImport(account, state, since) {
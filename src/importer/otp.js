@@ -0,0 +1,289 @@
+import {
+  mkdir,
+  readFile,
+  rename,
+  rm,
+  writeFile,
+} from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { createInterface } from 'node:readline';
+import config from 'nconf';
+import logger from '../logger.js';
+import sleep from '../sleep.js';
+import { decrypt, encrypt } from '../crypto.js';
+import { getConfigDir } from '../load-config.js';
+
+// Scrapers that log in with an SMS code, or a long-term token issued for one
+const OTP_TYPES = ['oneZero'];
+
+const POLL_INTERVAL_MS = 1000;
+
+// Failures that say the bank rejected the login, others (timeouts, network, a broken
+// scraper) keep the stored token
+const TOKEN_REJECTED_ERRORS = ['INVALID_PASSWORD'];
+
+const getAccountKey = (user) => user.name || user.configPath;
+
+const getFileName = (user) => getAccountKey(user).replace(/[^a-zA-Z0-9]+/g, '-').replace(/-$/, '');
+
+function getOtpConfig() {
+  return {
+    method: 'auto',
+    timeout: 300000,
+    host: '127.0.0.1',
+    port: 8765,
+    dir: path.join(getConfigDir(), 'otp'),
+    tokenFile: path.join(getConfigDir(), 'otp-tokens.json'),
+    ...config.get('otp'),
+  };
+}
+
+export function needsOtp(user) {
+  return user.otp ?? OTP_TYPES.includes(user.type);
+}
+
+// Prompts are serialized, parallel scrapes would otherwise write over each other
+let promptQueue = Promise.resolve();
+
+function promptCode(user) {
+  const ask = () => new Promise((resolve) => {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(`OTP code for ${getAccountKey(user)}: `, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+  const result = promptQueue.then(ask);
+  promptQueue = result.catch(() => {});
+  return result;
+}
+
+async function waitForFile(user, { dir, timeout }) {
+  const file = path.join(dir, `${getFileName(user)}.otp`);
+  await mkdir(dir, { recursive: true });
+  logger().warn({ account: getAccountKey(user), file }, 'Waiting for OTP code, write it to the file');
+
+  const poll = async (deadline) => {
+    try {
+      const code = (await readFile(file, 'utf8')).trim();
+      await rm(file, { force: true });
+      if (code) {
+        return code;
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`No OTP code in '${file}' after ${timeout}ms`);
+    }
+    await sleep(POLL_INTERVAL_MS);
+    return poll(deadline);
+  };
+  return poll(Date.now() + timeout);
+}
+
+// One local server answers every account waiting for a code, it closes with the last waiter
+const waiters = new Map();
+let server = null;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+async function handleRequest(req, res) {
+  const [, prefix, account] = decodeURIComponent(req.url).split('/');
+  if (prefix !== 'otp') {
+    res.writeHead(404).end();
+    return;
+  }
+  if (req.method === 'GET' && !account) {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+      .end(JSON.stringify({ waiting: [...waiters.keys()] }));
+    return;
+  }
+  if (req.method !== 'POST' || !waiters.has(account)) {
+    res.writeHead(404).end(`No account '${account}' is waiting for an OTP code\n`);
+    return;
+  }
+  const body = (await readBody(req)).trim();
+  const code = body.startsWith('{') ? JSON.parse(body).code : body;
+  if (!code) {
+    res.writeHead(400).end('Missing OTP code\n');
+    return;
+  }
+  waiters.get(account).resolve(String(code).trim());
+  res.writeHead(204).end();
+}
+
+function startServer({ host, port }) {
+  server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      logger().error({ error }, 'Failed handling OTP request');
+      res.writeHead(400).end();
+    });
+  });
+  // e.g. EADDRINUSE, every account waiting on this server fails instead of the process
+  server.on('error', (error) => {
+    logger().error({ host, port, message: error.message }, 'OTP endpoint failed');
+    server = null;
+    [...waiters.values()].forEach((x) => x.reject(new Error(`OTP endpoint on ${host}:${port} failed: ${error.message}`)));
+  });
+  server.listen(port, host, () => logger().info({ host, port }, 'OTP endpoint listening'));
+}
+
+function stopServerWhenIdle() {
+  if (server && waiters.size === 0) {
+    server.close();
+    server = null;
+  }
+}
+
+function waitForHttp(user, otpConfig) {
+  const account = getAccountKey(user);
+  if (!server) {
+    startServer(otpConfig);
+  }
+  logger().warn({
+    account,
+    url: `http://${otpConfig.host}:${otpConfig.port}/otp/${encodeURIComponent(account)}`,
+  }, 'Waiting for OTP code, POST it to the endpoint');
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      waiters.delete(account);
+      stopServerWhenIdle();
+      reject(new Error(`No OTP code posted for '${account}' after ${otpConfig.timeout}ms`));
+    }, otpConfig.timeout);
+    const done = (settle) => (value) => {
+      clearTimeout(timer);
+      waiters.delete(account);
+      stopServerWhenIdle();
+      settle(value);
+    };
+    waiters.set(account, { resolve: done(resolve), reject: done(reject) });
+  });
+}
+
+function getMethod(otpConfig) {
+  if (otpConfig.method !== 'auto') {
+    return otpConfig.method;
+  }
+  return process.stdin.isTTY ? 'prompt' : 'file';
+}
+
+const retrievers = {
+  prompt: (user) => promptCode(user),
+  file: (user, otpConfig) => waitForFile(user, otpConfig),
+  http: (user, otpConfig) => waitForHttp(user, otpConfig),
+};
+
+function getOtpCodeRetriever(user) {
+  const otpConfig = getOtpConfig();
+  const method = getMethod(otpConfig);
+  if (!retrievers[method]) {
+    throw new Error(`Unknown otp.method '${method}', expected auto, prompt, file or http`);
+  }
+  return () => retrievers[method](user, otpConfig);
+}
+
+async function readTokens() {
+  try {
+    return JSON.parse(await readFile(getOtpConfig().tokenFile, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return {};
+    }
+    throw e;
+  }
+}
+
+async function writeTokens(tokens) {
+  const { tokenFile } = getOtpConfig();
+  const tempFile = `${tokenFile}.tmp`;
+  // Same as the config, only the owner may read the (encrypted) tokens. Written aside and
+  // renamed, so a crash never leaves half a file behind.
+  await writeFile(tempFile, JSON.stringify(tokens, null, 2), {
+    encoding: 'utf8',
+    mode: 0o600,
+  });
+  await rename(tempFile, tokenFile);
+}
+
+// Accounts are scraped in parallel, updates are serialized so none is lost
+let tokensQueue = Promise.resolve();
+
+function updateTokens(update) {
+  const result = tokensQueue.then(async () => writeTokens(update(await readTokens())));
+  tokensQueue = result.catch(() => {});
+  return result;
+}
+
+function dropStoredToken(account) {
+  return updateTokens(({ [account]: dropped, ...tokens }) => tokens);
+}
+
+// A token that doesn't decrypt (e.g. MASTER_PASSWORD changed) is dropped, and a code asked for
+async function getStoredToken(user) {
+  const account = getAccountKey(user);
+  const stored = (await readTokens())[account];
+  if (!stored || !process.env.MASTER_PASSWORD) {
+    return undefined;
+  }
+  try {
+    return await decrypt(stored, process.env.MASTER_PASSWORD);
+  } catch (error) {
+    await dropStoredToken(account);
+    logger().warn({ account, message: error.message }, 'Stored OTP token doesn\'t decrypt with MASTER_PASSWORD, dropped it, asking for a code');
+    return undefined;
+  }
+}
+
+/**
+ * Adds what an OTP scraper logs in with to the account's credentials: the configured or
+ * stored long-term token, otherwise a retriever asking for the SMS code
+ * @returns {Promise<{credentials: object, storedToken: boolean}>}
+ */
+export async function getOtpCredentials(user) {
+  if (!needsOtp(user) || user.credentials?.otpLongTermToken) {
+    return { credentials: user.credentials, storedToken: false };
+  }
+  const otpLongTermToken = await getStoredToken(user);
+  if (otpLongTermToken) {
+    return { credentials: { ...user.credentials, otpLongTermToken }, storedToken: true };
+  }
+  return {
+    credentials: { ...user.credentials, otpCodeRetriever: getOtpCodeRetriever(user) },
+    storedToken: false,
+  };
+}
+
+/**
+ * Stores the long-term token a scrape returned (encrypted with MASTER_PASSWORD), or drops
+ * a stored token the bank rejected the login with, so the next run asks for a code
+ * @returns {Promise<object>} - The scrape result, without the token
+ */
+export async function handleOtpResult(user, result, storedToken) {
+  const { persistentOtpToken, ...rest } = result;
+  const account = getAccountKey(user);
+  if (persistentOtpToken) {
+    if (!process.env.MASTER_PASSWORD) {
+      logger().warn({ account }, 'OTP long-term token not stored, MASTER_PASSWORD is not set');
+      return rest;
+    }
+    const encrypted = await encrypt(persistentOtpToken, process.env.MASTER_PASSWORD);
+    await updateTokens((tokens) => ({ ...tokens, [account]: encrypted }));
+    logger().info({ account }, 'OTP long-term token stored');
+  } else if (storedToken && !result.success && TOKEN_REJECTED_ERRORS.includes(result.errorType)) {
+    await dropStoredToken(account);
+    logger().warn({ account }, 'Scrape with the stored OTP token failed, the next run will ask for a code');
+  }
+  return rest;
+}
@@ -0,0 +1,73 @@
+import moment from 'moment';
+import config from 'nconf';
+import logger from '../logger.js';
+import { getPendingTag } from './pending.js';
+import { getAccountIdentification } from './last-import-helper.js';
+
+const MAX_SAMPLES = 100;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Days to scrape before the account's last import: the entry's overlapDays, or what was
+ * learned from how late its transactions showed up, or overlap.days until enough is known
+ * @param {object} user - Flat user
+ * @param {object} overlapState - Learned stats by state key, from the importer state
+ */
+export function getOverlapDays(user, overlapState = {}) {
+  const overlapConfig = config.get('overlap');
+  if (user.overlapDays !== undefined) {
+    return user.overlapDays;
+  }
+  const stats = overlapState[getAccountIdentification(user)];
+  if (!overlapConfig.adaptive || !stats || stats.samples.length < overlapConfig.minSamples) {
+    return overlapConfig.days;
+  }
+  const latest = Math.max(...stats.samples);
+  // A transaction as late as the whole window may have had older siblings the scrape
+  // couldn't see, so the window grows instead of settling on what was seen
+  const learned = latest >= stats.windowDays ? stats.windowDays * 2 : latest + overlapConfig.margin;
+  return clamp(learned, overlapConfig.minDays, overlapConfig.maxDays);
+}
+
+/**
+ * Adds how late each new transaction showed up (days between its date and the account's
+ * previous import, 0 if after it) to the learned stats of its account
+ * @param {object} state - Importer state
+ * @param {Array} createdTxs - Transactions created in this run
+ * @param {object} userKeyById - State key of the scraped account, by Firefly account id
+ * @param {Array} flatUsers - Scraped users, with their lastImport and overlap
+ */
+export function getStateWithOverlap(state, createdTxs, userKeyById, flatUsers) {
+  const users = flatUsers
+    .filter((x) => x.lastImport)
+    .reduce((m, x) => ({ ...m, [getAccountIdentification(x)]: x }), {});
+  const samples = createdTxs
+    .filter((x) => !(x.tags || []).includes(getPendingTag()))
+    .map((x) => ({
+      key: userKeyById[x.type === 'deposit' ? x.destination_id : x.source_id],
+      date: moment(x.date),
+    }))
+    .filter((x) => users[x.key])
+    .reduce((m, { key, date }) => ({
+      ...m,
+      [key]: [
+        ...(m[key] || []),
+        Math.max(0, Math.ceil(moment(users[key].lastImport).diff(date, 'days', true))),
+      ],
+    }), {});
+
+  const overlap = Object.entries(samples)
+    .reduce((m, [key, late]) => ({
+      ...m,
+      [key]: {
+        samples: [...(m[key]?.samples || []), ...late].slice(-MAX_SAMPLES),
+        windowDays: users[key].overlapDays,
+        updatedAt: moment().toISOString(),
+      },
+    }), state.overlap || {});
+  if (Object.keys(samples).length > 0) {
+    logger().debug({ samples }, 'Learned transaction lateness');
+  }
+  return { ...state, overlap };
+}
@@ -0,0 +1,61 @@
+import config from 'nconf';
+
+// Bidi control characters banks embed around Hebrew/Latin runs
+const BIDI_MARKS = /[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+const BRANCH = /\s*(סניף|snif|branch)\s*#?\s*\d+/gi;
+// A marked (#045, *12) or long (terminal) number, a short bare one may be the name (BUS 480)
+const TRAILING_NUMBER = /(\s*[#*\-/]+\s*\d+|\s+\d{4,})$/;
+const TRAILING_PUNCTUATION = /[\s\-*.,#/]+$/;
+
+/**
+ * Normalizes a transaction description into a merchant name
+ * @param {string} description - Transaction description from the scraper
+ * @returns {string} - Name without bidi marks, branch numbers and extra whitespace
+ */
+export function normalizeMerchant(description) {
+  const clean = (description || '')
+    .replace(BIDI_MARKS, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const name = clean
+    .replace(BRANCH, '')
+    .replace(TRAILING_PUNCTUATION, '')
+    .replace(TRAILING_NUMBER, '')
+    .replace(TRAILING_PUNCTUATION, '');
+
+  // A description that is only a number is kept as is
+  return name || clean;
+}
+
+function findAlias(name) {
+  const aliases = config.get('payees:aliases') || {};
+  return Object.keys(aliases)
+    .find((payee) => [].concat(aliases[payee])
+      .some((pattern) => new RegExp(pattern, 'i').test(name)));
+}
+
+export function getPayee(description) {
+  const name = normalizeMerchant(description);
+  if (!name) {
+    return undefined;
+  }
+  return findAlias(name) || name;
+}
+
+/**
+ * Sets the expense (withdrawal) or revenue (deposit) account name of a transaction,
+ * so Firefly doesn't post it against its "(no name)" cash account
+ */
+export function payeeTx(tx) {
+  if (!config.get('payees:enabled') || tx.type === 'transfer') {
+    return tx;
+  }
+  const payee = getPayee(tx.description);
+  if (!payee) {
+    return tx;
+  }
+  return tx.type === 'deposit'
+    ? { ...tx, source_name: payee }
+    : { ...tx, destination_name: payee };
+}
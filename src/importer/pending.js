@@ -0,0 +1,93 @@
+import moment from 'moment';
+import config from 'nconf';
+import { searchTxs } from '../firefly.js';
+import logger from '../logger.js';
+
+export function isPendingEnabled() {
+  return config.get('pending:enabled') === true;
+}
+
+export function getPendingTag() {
+  return config.get('pending:tag') || 'pending';
+}
+
+/**
+ * The asset account of a Firefly transaction, as a string since ids from the API are
+ */
+export const getOwnAccountId = (tx) => String(tx.type === 'deposit' ? tx.destination_id : tx.source_id);
+
+const isPendingTx = (tx) => (tx.tags || []).includes(getPendingTag());
+
+export const sameAmount = (a, b) => Number(a.amount).toFixed(2) === Number(b.amount).toFixed(2);
+
+const sameDescription = (a, b) => (a.description || '').trim() === (b.description || '').trim();
+
+// Pending transactions are only judged for accounts scrapped in this run, and only
+// from the date the scrape started, anything older can't be seen by the scraper.
+export function getScrapWindows(accounts, accountsMaps) {
+  return accounts
+    .filter((x) => accountsMaps[x.accountNumber] && x.scrapFrom)
+    .reduce((m, x) => ({
+      ...m,
+      [accountsMaps[x.accountNumber].id]: moment(x.scrapFrom),
+    }), {});
+}
+
+function findCompleted(current, candidates, claimed) {
+  const matchDays = config.get('pending:matchDays');
+  const date = moment(current.tx.date);
+  const distance = (x) => Math.abs(moment(x.date).diff(date));
+  const inWindow = candidates
+    .filter((x) => !claimed.has(x.external_id))
+    .filter((x) => getOwnAccountId(x) === getOwnAccountId(current.tx))
+    .filter((x) => Math.abs(moment(x.date).diff(date, 'days')) <= matchDays)
+    .sort((a, b) => distance(a) - distance(b));
+
+  return inWindow.find((x) => sameAmount(x, current.tx))
+    || inWindow.find((x) => sameDescription(x, current.tx))
+    || null;
+}
+
+/**
+ * Matches the pending transactions already in Firefly against the current scrape
+ * @returns {Promise<{toReplace: Array, toDelete: Array}>} - Pending transactions that
+ * completed (with their completed counterpart) and ones that vanished from the scrape
+ */
+export async function matchPendingTxs(preparedFireTxs, currentTxMap, accounts, accountsMaps) {
+  const windows = getScrapWindows(accounts, accountsMaps);
+  const existing = (await searchTxs({ tag_is: getPendingTag() }))
+    .map((x) => ({
+      id: x.id,
+      type: x.attributes.transactions[0].type,
+      tx: x.attributes.transactions[0],
+    }))
+    .filter((x) => {
+      const from = windows[getOwnAccountId(x.tx)];
+      return from && !moment(x.tx.date).isBefore(from, 'day');
+    });
+
+  const scrapedExtIds = new Set(preparedFireTxs.map((x) => x.external_id));
+  const candidates = preparedFireTxs
+    .filter((x) => !isPendingTx(x) && !currentTxMap[x.external_id]);
+  const claimed = new Set();
+
+  const result = existing
+    .filter((x) => !scrapedExtIds.has(x.tx.external_id))
+    .reduce((m, current) => {
+      const match = findCompleted(current, candidates, claimed);
+      if (!match) {
+        return { ...m, toDelete: [...m.toDelete, current] };
+      }
+      claimed.add(match.external_id);
+      // An explicit empty list, so the update drops the pending tag
+      const tx = { ...match, tags: match.tags || [] };
+      return { ...m, toReplace: [...m.toReplace, { current, tx }] };
+    }, { toReplace: [], toDelete: [] });
+
+  logger().debug({
+    existing: existing.length,
+    completed: result.toReplace.length,
+    vanished: result.toDelete.length,
+  }, 'Matched pending transactions');
+  return result;
+}
@@ -0,0 +1,166 @@
+import { writeFile } from 'node:fs/promises';
+import moment from 'moment';
+
+// Same on both sides, it's how the transactions were matched
+const MATCH_FIELDS = ['external_id'];
+
+export function createPlan() {
+  return {
+    generatedAt: moment().toISOString(),
+    dryRun: true,
+    drop: null,
+    retries: [],
+    newAccounts: [],
+    accounts: {},
+  };
+}
+
+export function addPlannedAccount(plan, account) {
+  plan.newAccounts.push(account);
+}
+
+export function addPlannedRetries(plan, retries) {
+  plan.retries.push(...retries);
+}
+
+export function addPlannedDrop(plan, count) {
+  // eslint-disable-next-line no-param-reassign
+  plan.drop = { count };
+}
+
+function getAccountEntry(plan, accountNumber) {
+  const key = accountNumber || 'unknown';
+  if (!plan.accounts[key]) {
+    // eslint-disable-next-line no-param-reassign
+    plan.accounts[key] = {
+      creates: [],
+      typeUpdates: [],
+      updates: [],
+      replaces: [],
+      deletes: [],
+      adopts: [],
+      adjustments: [],
+    };
+  }
+  return plan.accounts[key];
+}
+
+export function addPlannedChange(plan, kind, accountNumber, change) {
+  getAccountEntry(plan, accountNumber)[kind].push(change);
+}
+
+function normalize(field, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(String).sort().join(',') : null;
+  }
+  if (field === 'amount' || field === 'foreign_amount') {
+    return Number(value).toFixed(2);
+  }
+  if (field.endsWith('date')) {
+    return moment(value).format('YYYY-MM-DD');
+  }
+  return String(value);
+}
+
+// Every field the update sends is compared (rules, payees and plugins add their own),
+// Firefly returns many more.
+export function diffTx(current, next) {
+  return Object.keys(next)
+    .filter((field) => !MATCH_FIELDS.includes(field))
+    .filter((field) => next[field] !== undefined && next[field] !== null)
+    .map((field) => ({
+      field,
+      from: normalize(field, current[field]),
+      to: normalize(field, next[field]),
+    }))
+    .filter((x) => x.from !== x.to);
+}
+
+export function getPlanTotals(plan) {
+  return Object.values(plan.accounts)
+    .reduce((m, x) => ({
+      ...m,
+      creates: m.creates + x.creates.length,
+      typeUpdates: m.typeUpdates + x.typeUpdates.length,
+      updates: m.updates + x.updates.length,
+      replaces: m.replaces + x.replaces.length,
+      deletes: m.deletes + x.deletes.length,
+      adopts: m.adopts + x.adopts.length,
+      adjustments: m.adjustments + x.adjustments.length,
+    }), {
+      accounts: plan.newAccounts.length,
+      creates: 0,
+      typeUpdates: 0,
+      updates: 0,
+      replaces: 0,
+      deletes: 0,
+      adopts: 0,
+      adjustments: 0,
+    });
+}
+
+function formatAmount(tx) {
+  const sign = tx.type === 'withdrawal' ? '-' : '';
+  const foreign = tx.foreign_amount
+    ? ` (${sign}${Number(tx.foreign_amount).toFixed(2)} ${tx.foreign_currency_code})`
+    : '';
+  return `${sign}${Number(tx.amount).toFixed(2)} ${tx.currency_code || ''}`.trim() + foreign;
+}
+
+function formatTxLine(action, tx, extra = '') {
+  const date = tx.date ? moment(tx.date).format('YYYY-MM-DD') : '?';
+  return `  ${action.padEnd(7)} ${date}  ${extra}${formatAmount(tx)}  ${tx.description || ''}`;
+}
+
+function formatAccount(accountNumber, entry) {
+  return [
+    `Account ${accountNumber}:`,
+    ...entry.creates.map((x) => formatTxLine('create', x.tx, `${x.tx.type} `)),
+    ...entry.typeUpdates.map((x) => formatTxLine('type', x.tx, `${x.fromType} -> ${x.tx.type} `)),
+    ...entry.updates.flatMap((x) => [
+      formatTxLine('update', x.tx),
+      ...x.changes.map((c) => `            ${c.field}: ${c.from} -> ${c.to}`),
+    ]),
+    ...entry.replaces.flatMap((x) => [
+      formatTxLine('replace', x.tx, 'pending -> completed '),
+      ...x.changes.map((c) => `            ${c.field}: ${c.from} -> ${c.to}`),
+    ]),
+    ...entry.deletes.map((x) => formatTxLine('delete', x.tx, 'vanished pending ')),
+    ...entry.adopts.map((x) => formatTxLine('adopt', x.tx, `#${x.id} (${x.fromExternalId} -> ${x.tx.external_id}) `)),
+    ...entry.adjustments.map((x) => `  adjust  ${x.date}  ${x.diff > 0 ? '+' : ''}${x.diff.toFixed(2)}`
+      + ` (firefly ${x.fireflyBalance.toFixed(2)}, bank ${x.scrapeBalance.toFixed(2)})`),
+  ].join('\n');
+}
+
+export function formatPlan(plan) {
+  const totals = getPlanTotals(plan);
+  const lines = [];
+  if (plan.drop) {
+    lines.push(`Drop: ${plan.drop.count} existing transactions would be deleted`);
+  }
+  if (plan.retries.length > 0) {
+    lines.push(`Failed writes of the last run to retry: ${plan.retries.length}`);
+    plan.retries
+      .forEach((x) => lines.push(formatTxLine(x.op, x.tx)));
+  }
+  if (plan.newAccounts.length > 0) {
+    lines.push(`Accounts to create: ${plan.newAccounts.length}`);
+    plan.newAccounts
+      .forEach((x) => lines.push(`  + ${x.account_number} (${x.account_role})`));
+  }
+  Object.entries(plan.accounts)
+    .forEach(([accountNumber, entry]) => lines.push(formatAccount(accountNumber, entry)));
+  lines.push(`Totals: ${totals.accounts} accounts, ${totals.creates} creates, ${totals.typeUpdates} type changes, `
+    + `${totals.updates} updates, ${totals.replaces} completed pending, ${totals.deletes} deletes, `
+    + `${totals.adopts} adopted, `
+    + `${totals.adjustments} balance adjustments`);
+  return lines.join('\n');
+}
+
+export async function writePlan(plan, file) {
+  const content = JSON.stringify({ ...plan, totals: getPlanTotals(plan) }, null, 2);
+  await writeFile(file, content, 'utf8');
+}
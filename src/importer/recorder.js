@@ -0,0 +1,104 @@
+import {
+  mkdir,
+  readdir,
+  readFile,
+  writeFile,
+} from 'node:fs/promises';
+import path from 'node:path';
+import moment from 'moment';
+import logger from '../logger.js';
+
+const getFileName = (user) => `${user.configPath.replace(/[^a-zA-Z0-9]+/g, '-').replace(/-$/, '')}-${user.type}.json`;
+
+// Credentials never reach the recording, only what identifies the account in config
+function toRecordedUser(user) {
+  const { credentials, ...rest } = user;
+  return rest;
+}
+
+// JSON drops keys set to undefined, which still count in a transaction's hash id, so their
+// paths are recorded and the keys set again on replay
+function getUndefinedPaths(value, keys = []) {
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+  return Object.entries(value).flatMap(([key, x]) => (x === undefined
+    ? [[...keys, key]]
+    : getUndefinedPaths(x, [...keys, key])));
+}
+
+function restoreUndefined(result, paths) {
+  paths.forEach((x) => {
+    const parent = x.slice(0, -1).reduce((m, key) => m?.[key], result);
+    if (parent && typeof parent === 'object') {
+      // eslint-disable-next-line no-param-reassign
+      parent[x[x.length - 1]] = undefined;
+    }
+  });
+  return result;
+}
+
+/**
+ * Saves every account's raw scrape result to a new dated folder under dir
+ * @returns {Promise<string>} - The folder the results were written to
+ */
+export async function recordScrapResults(dir, results, flatUsers) {
+  const runDir = path.join(dir, moment().format('YYYY-MM-DDTHH-mm-ss'));
+  await mkdir(runDir, { recursive: true });
+  await Promise.all(results.map((result, i) => writeFile(
+    path.join(runDir, getFileName(flatUsers[i])),
+    JSON.stringify({
+      recordedAt: moment().toISOString(),
+      user: toRecordedUser(flatUsers[i]),
+      result,
+      undefinedPaths: getUndefinedPaths(result),
+    }, null, 2),
+    // Transactions are private, keep them readable by the owner only
+    { encoding: 'utf8', mode: 0o600 },
+  )));
+  logger().info({ dir: runDir, count: results.length }, 'Scrap results recorded');
+  return runDir;
+}
+
+// A recordings folder (holding dated run folders) replays its latest run
+async function getReplayDir(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  if (entries.some((x) => x.isFile() && x.name.endsWith('.json'))) {
+    return dir;
+  }
+  const runs = entries
+    .filter((x) => x.isDirectory())
+    .map((x) => x.name)
+    .sort();
+  if (runs.length === 0) {
+    throw new Error(`No recorded scrap results in '${dir}'`);
+  }
+  return path.join(dir, runs[runs.length - 1]);
+}
+
+/**
+ * Reads recorded scrape results instead of scraping, in the order of flatUsers
+ */
+export async function replayScrapResults(dir, flatUsers) {
+  const runDir = await getReplayDir(dir);
+  logger().info({ dir: runDir }, 'Replaying recorded scrap results');
+  return Promise.all(flatUsers.map(async (user) => {
+    const file = path.join(runDir, getFileName(user));
+    try {
+      const recording = JSON.parse(await readFile(file, 'utf8'));
+      if (!recording.undefinedPaths) {
+        logger().warn({ file }, 'Recording without undefined keys, hash identified transactions may not match Firefly, record it again');
+      }
+      return restoreUndefined(recording.result, recording.undefinedPaths || []);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      return {
+        success: false,
+        errorType: 'REPLAY_MISSING',
+        errorMessage: `No recording '${file}'`,
+      };
+    }
+  }));
+}
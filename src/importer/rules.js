@@ -0,0 +1,119 @@
+import config from 'nconf';
+
+const toList = (x) => (Array.isArray(x) ? x : [x]);
+
+const matchRegex = (pattern, value) => new RegExp(pattern, 'i').test(value || '');
+
+const matchers = {
+  description: (expected, tx) => matchRegex(expected, tx.description),
+  category: (expected, tx) => matchRegex(expected, tx.category_name),
+  amount: ({ min, max }, tx) => (min === undefined || tx.amount >= min)
+    && (max === undefined || tx.amount <= max),
+  type: (expected, tx) => toList(expected).includes(tx.type),
+  account: (expected, tx, account) => toList(expected)
+    .some((x) => x === account?.name || x === account?.accountNumber),
+  bankType: (expected, tx, account) => toList(expected).includes(account?.type),
+};
+
+export const MATCH_FIELDS = Object.keys(matchers);
+
+export const RULES_MODES = ['first-match', 'cumulative'];
+
+const actions = {
+  category: (value, tx) => ({ ...tx, category_name: value }),
+  budget: (value, tx) => ({ ...tx, budget_name: value }),
+  tags: (value, tx) => ({ ...tx, tags: [...new Set([...(tx.tags || []), ...toList(value)])] }),
+  notes: (value, tx) => ({ ...tx, notes: tx.notes ? `${tx.notes}\n${value}` : value }),
+  // Both sides of a transfer are asset accounts, there is no payee to set
+  payee: (value, tx) => {
+    if (tx.type === 'transfer') {
+      return tx;
+    }
+    return tx.type === 'deposit'
+      ? { ...tx, source_name: value }
+      : { ...tx, destination_name: value };
+  },
+  skip: (value, tx) => (value ? null : tx),
+};
+
+export const ACTIONS = Object.keys(actions);
+
+export const getRuleName = (rule, index) => rule.name || `#${index + 1}`;
+
+function matchRule(rule, name, tx, account) {
+  return Object.entries(rule.match || {})
+    .every(([field, expected]) => {
+      if (!matchers[field]) {
+        throw new Error(`Unknown match field '${field}' in rule '${name}'`);
+      }
+      return matchers[field](expected, tx, account);
+    });
+}
+
+function applyActions(rule, name, tx) {
+  return Object.entries(rule.actions || {})
+    .reduce((m, [action, value]) => {
+      if (!actions[action]) {
+        throw new Error(`Unknown action '${action}' in rule '${name}'`);
+      }
+      return m && actions[action](value, m);
+    }, tx);
+}
+
+/**
+ * Applies the configured rules to a prepared Firefly transaction
+ * @param {object} tx - Prepared Firefly transaction
+ * @param {object} account - The scrapped account of the transaction (type, name, accountNumber)
+ * @returns {{tx: object|null, matched: string[]}} - Transaction after the rules' actions
+ * (null when a rule skips it) and the names of the rules that matched
+ */
+export function applyRules(tx, account) {
+  const cumulative = config.get('rulesMode') === 'cumulative';
+  return (config.get('rules') || [])
+    .reduce((m, rule, i) => {
+      if (!m.tx || (!cumulative && m.matched.length > 0)) {
+        return m;
+      }
+      const name = getRuleName(rule, i);
+      if (!matchRule(rule, name, m.tx, account)) {
+        return m;
+      }
+      return {
+        tx: applyActions(rule, name, m.tx),
+        matched: [...m.matched, name],
+      };
+    }, { tx, matched: [] });
+}
+
+function findConfigAccount(name) {
+  return (config.get('banks') || [])
+    .flatMap((b) => [b, ...(b.creditCards || [])])
+    .find((x) => x.name === name);
+}
+
+/**
+ * Runs the rules against a sample transaction, as the importer would prepare it
+ * @param {object} sample - description, amount (negative for withdrawals), account, bankType
+ * and category
+ */
+export function testRules(sample) {
+  const amount = Number(sample.amount || 0);
+  const tx = {
+    type: amount > 0 ? 'deposit' : 'withdrawal',
+    amount: Math.abs(amount),
+    description: sample.description,
+    category_name: sample.category,
+  };
+  const account = {
+    name: sample.account,
+    accountNumber: sample.account,
+    type: sample.bankType || findConfigAccount(sample.account)?.type,
+  };
+  const result = applyRules(tx, account);
+  return {
+    input: { tx, account },
+    matched: result.matched,
+    skipped: result.tx === null,
+    tx: result.tx,
+  };
+}
@@ -0,0 +1,90 @@
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import config from 'nconf';
+import logger from '../../logger.js';
+import { getConfigDir } from '../../load-config.js';
+
+export const HOOKS = ['account', 'transaction', 'fireflyTransaction'];
+
+let plugins = [];
+
+async function getPluginsDirFiles(dir) {
+  try {
+    return (await readdir(dir))
+      .filter((x) => /\.(m?js)$/.test(x))
+      .sort()
+      .map((x) => path.join(dir, x));
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return [];
+    }
+    throw e;
+  }
+}
+
+async function loadPlugin(file) {
+  const module = await import(pathToFileURL(file).href);
+  const plugin = module.default || module;
+  const hooks = HOOKS.filter((x) => typeof plugin[x] === 'function');
+  if (hooks.length === 0) {
+    throw new Error(`Plugin '${file}' has none of the hooks ${HOOKS.join(', ')}`);
+  }
+  return { ...plugin, name: plugin.name || path.basename(file), hooks };
+}
+
+/**
+ * Loads the plugins listed in config `plugins` (paths relative to the config file), then
+ * the ones in the `plugins` folder next to it
+ */
+export async function loadPlugins() {
+  const configDir = getConfigDir();
+  const files = [
+    ...(config.get('plugins') || []).map((x) => path.resolve(configDir, x)),
+    ...await getPluginsDirFiles(path.join(configDir, 'plugins')),
+  ];
+  plugins = await Promise.all([...new Set(files)].map(loadPlugin));
+  if (plugins.length > 0) {
+    logger().info({ plugins: plugins.map((x) => x.name) }, 'Loaded plugins');
+  }
+  return plugins;
+}
+
+/**
+ * Passes a value through every plugin's hook in load order
+ * @param {string} hook - account, transaction or fireflyTransaction
+ * @param {object} value - What the hook manipulates
+ * @param {object} context - Documented per hook in the README
+ * @returns {Promise<object|null>} - The manipulated value, null when a plugin drops it
+ */
+export async function runHook(hook, value, context) {
+  return plugins
+    .filter((x) => x.hooks.includes(hook))
+    .reduce(async (m, plugin) => {
+      const current = await m;
+      if (current === null) {
+        return null;
+      }
+      try {
+        const result = await plugin[hook](current, { ...context, logger: logger() });
+        return result === undefined ? current : result;
+      } catch (error) {
+        throw new Error(`Plugin '${plugin.name}' failed in its ${hook} hook: ${error.message}`);
+      }
+    }, Promise.resolve(value));
+}
+
+/**
+ * Runs the hook on each value, leaving out the ones a plugin dropped
+ */
+export async function runHookOnAll(hook, values, getContext) {
+  const results = await values.reduce(
+    (m, x) => m.then(async (acc) => [...acc, await runHook(hook, x, getContext(x))]),
+    Promise.resolve([]),
+  );
+  const dropped = results.filter((x) => x === null).length;
+  if (dropped > 0) {
+    logger().info({ hook, dropped }, 'Dropped by plugins');
+  }
+  return results.filter((x) => x !== null);
+}
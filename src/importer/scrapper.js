@@ -5,37 +5,65 @@ import { CompanyTypes, createScraper } from 'israeli-bank-scrapers';
 import config from 'nconf';
 import moment from 'moment';
 import logger from '../logger.js';
-import { getLastImport } from './last-import-helper.js';
+import sleep from '../sleep.js';
+import { getAccountIdentification, getLastImport } from './last-import-helper.js';
 import manipulateScrapResult from './scrap-manipulater/index.js';
+import { runHookOnAll } from './scrap-manipulater/plugins.js';
+import { recordScrapResults, replayScrapResults } from './recorder.js';
+import { getOtpCredentials, handleOtpResult } from './otp.js';
+import { isFileSource, readFileSource } from './file-source.js';
+import { getDebugDir, saveLastRun } from '../diagnose.js';
+import { getOverlapDays } from './overlap.js';
 
-function toUserOptions(item, index) {
+function toUserOptions(item, configPath, index) {
   return {
     type: item.type,
     credentials: item.credentials,
+    configPath,
     ...(index !== undefined && { parentBankIndex: index }),
     name: item.name,
     startDate: item.startDate,
     timeout: item.timeout,
+    retry: item.retry,
+    concurrencyGroup: item.concurrencyGroup,
+    otp: item.otp,
+    stateKey: item.stateKey,
+    overlapDays: item.overlapDays,
+    ...(item.type === 'file' && {
+      path: item.path,
+      format: item.format,
+      mapping: item.mapping,
+      delimiter: item.delimiter,
+      sheet: item.sheet,
+      skipRows: item.skipRows,
+      invertAmount: item.invertAmount,
+      currency: item.currency,
+      accountNumber: item.accountNumber,
+      institution: item.institution,
+      kind: item.kind,
+    }),
   };
 }
 
-function enrichAccount(accounts, currentAccount) {
-  const accountDetails = currentAccount.parentBankIndex !== undefined ? {
-    type: currentAccount.type,
-    kind: 'credit-card',
-  } : {
-    type: currentAccount.type,
-    kind: 'bank',
+function enrichAccount(accounts, currentAccount, scrapedFrom) {
+  const accountDetails = {
+    // An exported file is handled as its institution's, e.g. for credit card transfers
+    type: currentAccount.institution || currentAccount.type,
+    kind: currentAccount.kind
+      || (currentAccount.parentBankIndex !== undefined ? 'credit-card' : 'bank'),
+    name: currentAccount.name,
   };
   return accounts.map((x) => ({
     ...x,
     accountDetails,
+    stateKey: getAccountIdentification(currentAccount),
+    scrapFrom: scrapedFrom ? moment(scrapedFrom) : currentAccount.scrapFrom,
   }));
 }
 
 function getScrapFrom(account) {
   let fallback = account.lastImport
-    ? moment(account.lastImport).subtract(7, 'days')
+    ? moment(account.lastImport).subtract(account.overlapDays, 'days')
     : moment().subtract(5, 'years');
 
   // Optional global minimum start date (limits how far back we scrape)
@@ -59,6 +87,7 @@ function getScrapFrom(account) {
     logger().debug({
       accountType: account.type,
       scrapFrom: fallback.toISOString(),
+      overlapDays: account.overlapDays,
       configuredStartDate: configuredStart || null,
       accountStartDate: account.startDate || null,
     }, 'Scrap start date');
@@ -66,17 +95,25 @@ function getScrapFrom(account) {
   return fallback;
 }
 
-export function getFlatUsers(useOnlyAccounts, state, since) {
+/**
+ * Every bank and credit card in the config, flattened
+ */
+export function getConfigUsers() {
   if (!config.get('banks')) {
     throw new Error('No banks in config');
   }
   return config.get('banks')
-    .flatMap((bank, i) => ([toUserOptions(bank), ...(bank.creditCards || [])
-      .map((cc) => toUserOptions(cc, i))]))
+    .flatMap((bank, i) => ([toUserOptions(bank, `banks[${i}]`), ...(bank.creditCards || [])
+      .map((cc, j) => toUserOptions(cc, `banks[${i}].creditCards[${j}]`, i))]));
+}
+
+export function getFlatUsers(useOnlyAccounts, state, since, overlapState) {
+  return getConfigUsers()
     .filter((x) => !useOnlyAccounts || useOnlyAccounts.includes(x.name))
     .map((x) => ({
       ...x,
       lastImport: getLastImport(x, state, since),
+      overlapDays: getOverlapDays(x, overlapState),
     }))
     .map((x) => ({
       ...x,
@@ -84,16 +121,28 @@ export function getFlatUsers(useOnlyAccounts, state, since) {
     }));
 }
 
-export function parseScrapResult(results, flatUsers) {
-  return results
-    .reduce((m, x, i) => ([...m, ...(enrichAccount(x.accounts || [], flatUsers[i]))]), [])
+export async function parseScrapResult(results, flatUsers) {
+  const accounts = results
+    .reduce((m, x, i) => ([
+      ...m,
+      ...(enrichAccount(x.accounts || [], flatUsers[i], x.windowReducedFrom)),
+    ]), [])
     .map(manipulateScrapResult)
     .filter((x) => x);
+  return runHookOnAll('account', accounts, (x) => ({ accountDetails: x.accountDetails }));
 }
 
+// A scrape that only succeeded on a shorter retry window didn't cover everything since the
+// last import, so the last import stays put and the next run scrapes the full window again
 export function getSuccessfulScrappedUsers(results, flatUsers) {
   return results
-    .map((x, i) => (x.success ? flatUsers[i] : null))
+    .map((x, i) => (x.success && !x.windowReducedFrom ? flatUsers[i] : null))
+    .filter((x) => x);
+}
+
+export function getFailedScrappedUsers(results, flatUsers) {
+  return results
+    .map((x, i) => (x.success ? null : flatUsers[i]))
     .filter((x) => x);
 }
 
@@ -112,6 +161,22 @@ export function logErrorResult(results, flatUsers) {
   }
 }
 
+/**
+ * Logs the final outcome of every account's scrape, after its retries
+ */
+export function logScrapSummary(results, flatUsers) {
+  const summary = results.map((x, i) => ({
+    account: flatUsers[i].name || flatUsers[i].type,
+    success: x.success,
+    attempts: x.attempts,
+    ...(x.success
+      ? { txCount: (x.accounts || []).reduce((m, a) => m + a.txns.length, 0) }
+      : { errorType: x.errorType }),
+    ...(x.windowReducedFrom && { windowReducedFrom: x.windowReducedFrom }),
+  }));
+  logger().info({ summary }, 'Scrap summary');
+}
+
 export function getLightResult(results) {
   return results.map((r) => ({
     ...r,
@@ -127,13 +192,20 @@ export function getLightResult(results) {
 // Default navigation timeout (ms) when not set - avoids 30s in Docker/HA
 const DEFAULT_SCRAPER_TIMEOUT_MS = 60000;
 
-export async function scrapAccounts(flatUsers) {
+export async function scrapAccounts(flatUsers, { recordDir, replayDir, importedFiles } = {}) {
+  if (replayDir) {
+    return replayScrapResults(replayDir, flatUsers);
+  }
+
   const scraperConfig = config.get('scraper');
   const globalTimeout = typeof scraperConfig.timeout === 'number' && scraperConfig.timeout > 0
     ? scraperConfig.timeout
     : DEFAULT_SCRAPER_TIMEOUT_MS;
-  const actions = flatUsers
+  const tasks = flatUsers
     .map((user) => {
+      if (isFileSource(user)) {
+        return { run: () => readFileSource(user, importedFiles) };
+      }
       const timeoutMs = typeof user.timeout === 'number' && user.timeout > 0
         ? user.timeout
         : globalTimeout;
@@ -146,8 +218,8 @@ export async function scrapAccounts(flatUsers) {
         optInFeatures: [...new Set(optInFeatures)],
         timeout: timeoutMs,
       };
-      if (!options.storeFailureScreenShotPath && process.env.CONFIG_FILE) {
-        const debugDir = path.join(path.dirname(process.env.CONFIG_FILE), 'debug');
+      const debugDir = getDebugDir();
+      if (!options.storeFailureScreenShotPath && debugDir) {
         try {
           fs.mkdirSync(debugDir, { recursive: true });
           options.storeFailureScreenShotPath = path.join(debugDir, `${user.type}-fail.png`);
@@ -156,10 +228,23 @@ export async function scrapAccounts(flatUsers) {
         }
       }
 
-      return () => scrape(options, user.credentials);
+      return {
+        run: () => scrapeAccount(options, user),
+        group: user.concurrencyGroup,
+        options,
+      };
     });
 
-  return runActions(actions, scraperConfig.parallel);
+  const results = await runActions(tasks, getMaxConcurrency(scraperConfig));
+  await saveLastRun(flatUsers, results, tasks.map((x) => x.options));
+  if (recordDir) {
+    try {
+      await recordScrapResults(recordDir, results, flatUsers);
+    } catch (e) {
+      logger().error({ error: e, recordDir }, 'Failed recording scrap results');
+    }
+  }
+  return results;
 }
 
 function isTimeoutError(error) {
@@ -207,9 +292,134 @@ async function scrape(options, credentials) {
   }
 }
 
-function runActions(actions, parallel) {
-  if (parallel) {
-    return Promise.all(actions.map((x) => x()));
+const DEFAULT_RETRY_POLICY = {
+  attempts: 1,
+  delay: 30000,
+  backoff: 2,
+  errorTypes: ['TIMEOUT', 'GENERAL_ERROR'],
+};
+
+// Account's retry settings over the global scraper.retry ones, over the defaults
+function getRetryPolicy(user) {
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...config.get('scraper:retry'),
+    ...user.retry,
+  };
+}
+
+// Later attempts may get a longer timeout and a shorter date window, both the usual
+// reasons for a slow bank to time out
+function getRetryOptions(options, policy, attempt) {
+  const timeout = policy.timeoutMultiplier
+    ? Math.round(options.timeout * policy.timeoutMultiplier ** (attempt - 1))
+    : options.timeout;
+  const minStart = policy.maxDays && moment().subtract(policy.maxDays, 'days').startOf('day');
+  const startDate = minStart && moment(options.startDate).isBefore(minStart)
+    ? minStart.toDate()
+    : options.startDate;
+  return { ...options, timeout, startDate };
+}
+
+async function scrapeWithRetry(options, user) {
+  const policy = getRetryPolicy(user);
+  const account = user.name || user.type;
+
+  const attemptScrape = async (attempt) => {
+    const attemptOptions = attempt === 1 ? options : getRetryOptions(options, policy, attempt);
+    const result = {
+      ...await scrape(attemptOptions, user.credentials),
+      attempts: attempt,
+      ...(attemptOptions.startDate !== options.startDate && {
+        windowReducedFrom: moment(attemptOptions.startDate).toISOString(),
+      }),
+    };
+    if (result.success) {
+      if (attempt > 1) {
+        logger().info({ account, attempt }, 'Scrape succeeded on retry');
+      }
+      return result;
+    }
+    if (attempt >= policy.attempts || !policy.errorTypes.includes(result.errorType)) {
+      return result;
+    }
+    const delay = policy.delay * policy.backoff ** (attempt - 1);
+    logger().warn({
+      account,
+      attempt,
+      attempts: policy.attempts,
+      errorType: result.errorType,
+      delay,
+    }, 'Scrape attempt failed, retrying');
+    await sleep(delay);
+    return attemptScrape(attempt + 1);
+  };
+  return attemptScrape(1);
+}
+
+async function scrapeAccount(options, user) {
+  try {
+    const { credentials, storedToken } = await getOtpCredentials(user);
+    const result = await scrapeWithRetry(options, { ...user, credentials });
+    return await handleOtpResult(user, result, storedToken);
+  } catch (error) {
+    logger().error({ error, account: user.name || user.type }, 'OTP handling failed');
+    return {
+      success: false,
+      errorType: 'OTP_ERROR',
+      errorMessage: error.message,
+    };
+  }
+}
+
+// scraper.maxConcurrency caps the browsers open at once, otherwise parallel runs
+// every scrape together (true) or one after another (false)
+function getMaxConcurrency(scraperConfig) {
+  const max = parseInt(scraperConfig.maxConcurrency, 10);
+  if (Number.isFinite(max) && max > 0) {
+    return max;
   }
-  return actions.reduce((m, a) => m.then(async (x) => [...x, await a()]), Promise.resolve([]));
+  const parallel = scraperConfig.parallel === true || scraperConfig.parallel === 'true';
+  return parallel ? Infinity : 1;
+}
+
+/**
+ * Runs the scrapes by a pool of at most maxConcurrency, never running two tasks of the
+ * same concurrency group together
+ * @param {Array<{run: function, group: string}>} tasks - Scrapes, group is optional
+ * @returns {Promise<Array>} - Results in the order of tasks
+ */
+function runActions(tasks, maxConcurrency) {
+  const results = [];
+  const queue = tasks.map((task, index) => ({ ...task, index }));
+  const busyGroups = new Set();
+  let running = 0;
+
+  return new Promise((resolve, reject) => {
+    const next = () => {
+      if (queue.length === 0 && running === 0) {
+        resolve(results);
+        return;
+      }
+      const i = queue.findIndex((x) => !x.group || !busyGroups.has(x.group));
+      if (running >= maxConcurrency || i === -1) {
+        return;
+      }
+      const [task] = queue.splice(i, 1);
+      running += 1;
+      if (task.group) {
+        busyGroups.add(task.group);
+      }
+      task.run()
+        .then((result) => {
+          results[task.index] = result;
+          running -= 1;
+          busyGroups.delete(task.group);
+          next();
+        })
+        .catch(reject);
+      next();
+    };
+    next();
+  });
 }
@@ -0,0 +1,74 @@
+import moment from 'moment';
+import { getAccountIdentification } from './last-import-helper.js';
+import { getConfigUsers } from './scrapper.js';
+
+// State sections that are keyed by account
+const ACCOUNT_SECTIONS = ['lastImport', 'overlap', 'importedFiles'];
+
+const getConfigKeys = () => getConfigUsers()
+  .map((user) => ({ key: getAccountIdentification(user), user }));
+
+const getStateKeys = (state) => [...new Set(ACCOUNT_SECTIONS
+  .flatMap((x) => Object.keys(state[x] || {})))];
+
+/**
+ * Every account of the config or the state, with its last import
+ * @returns {Array<{key: string, name: string, configPath: string, lastImport: string,
+ * inConfig: boolean}>}
+ */
+export function listStateAccounts(state) {
+  const configKeys = getConfigKeys();
+  const keys = [...new Set([...configKeys.map((x) => x.key), ...getStateKeys(state)])];
+  return keys.map((key) => {
+    const { user } = configKeys.find((x) => x.key === key) || {};
+    return {
+      key,
+      name: user ? user.name || user.type : null,
+      configPath: user?.configPath || null,
+      lastImport: state.lastImport?.[key] || null,
+      inConfig: !!user,
+    };
+  });
+}
+
+/**
+ * The state key of an account given by its config name, or by the key itself
+ * @returns {string|null}
+ */
+export function findStateKey(state, account) {
+  const byName = getConfigKeys().find((x) => x.user.name === account);
+  if (byName) {
+    return byName.key;
+  }
+  return listStateAccounts(state).some((x) => x.key === account) ? account : null;
+}
+
+export function setLastImport(state, key, date) {
+  return {
+    ...state,
+    lastImport: { ...state.lastImport, [key]: moment(date).toISOString() },
+  };
+}
+
+export function resetLastImport(state, key) {
+  const { [key]: removed, ...lastImport } = state.lastImport || {};
+  return { ...state, lastImport };
+}
+
+export function getStaleKeys(state) {
+  const configKeys = getConfigKeys().map((x) => x.key);
+  return getStateKeys(state).filter((x) => !configKeys.includes(x));
+}
+
+/**
+ * Removes the accounts from every section of the state
+ */
+export function pruneState(state, keys) {
+  return ACCOUNT_SECTIONS
+    .filter((x) => state[x])
+    .reduce((m, section) => ({
+      ...m,
+      [section]: Object.fromEntries(Object.entries(state[section])
+        .filter(([key]) => !keys.includes(key))),
+    }), state);
+}
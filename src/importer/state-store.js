@@ -0,0 +1,175 @@
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import config from 'nconf';
+import { getConfig, upsertConfig } from '../firefly.js';
+import logger from '../logger.js';
+import { getConfigDir } from '../load-config.js';
+
+export const STATE_VERSION = 1;
+
+// Upgrades a state saved by an older version to the next version
+const migrations = {
+  // Before versioning, the first releases kept lastImport as a single date
+  0: (state) => ({
+    ...state,
+    lastImport: typeof state.lastImport === 'string' ? {} : (state.lastImport || {}),
+  }),
+};
+
+const getDefaultPath = (file) => path.join(getConfigDir(), file);
+
+const firefly = {
+  async load() {
+    try {
+      const axiosState = await getConfig();
+      return JSON.parse(axiosState.data.data.attributes.data);
+    } catch (err) {
+      if (err?.response?.status === 404) {
+        logger()
+          .debug('Firefly previous state not found (its ok if its first run), using empty object.');
+        return {};
+      }
+      throw err;
+    }
+  },
+  async save(state) {
+    await upsertConfig(JSON.stringify(state));
+  },
+};
+
+const file = {
+  getPath: () => config.get('state:file') || getDefaultPath('importer-state.json'),
+  async load() {
+    try {
+      return JSON.parse(await readFile(this.getPath(), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        logger().debug('State file not found (its ok if its first run), using empty object.');
+        return {};
+      }
+      throw err;
+    }
+  },
+  async save(state) {
+    // Written aside and renamed, so a crash never leaves half a state behind
+    const target = this.getPath();
+    const temp = `${target}.tmp`;
+    await writeFile(temp, JSON.stringify(state, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await rename(temp, target);
+  },
+};
+
+// node:sqlite ships with Node 22.5+, better-sqlite3 (an optional dependency) covers older ones
+async function openDatabase(filename) {
+  // eslint-disable-next-line import/no-unresolved
+  const nodeSqlite = await import('node:sqlite').catch(() => null);
+  if (nodeSqlite) {
+    return new nodeSqlite.DatabaseSync(filename);
+  }
+  // eslint-disable-next-line import/no-unresolved
+  const betterSqlite = await import('better-sqlite3').catch(() => null);
+  if (!betterSqlite) {
+    throw new Error('The sqlite state backend needs Node 22.5+ or the better-sqlite3 package');
+  }
+  const { default: Database } = betterSqlite;
+  return new Database(filename);
+}
+
+// One row per top-level state key, so each part can be read and written on its own
+const sqlite = {
+  getPath: () => config.get('state:sqlite') || getDefaultPath('importer-state.db'),
+  async open() {
+    const db = await openDatabase(this.getPath());
+    db.exec('CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+    return db;
+  },
+  async load() {
+    const db = await this.open();
+    try {
+      return db.prepare('SELECT key, value FROM state').all()
+        .reduce((m, x) => ({ ...m, [x.key]: JSON.parse(x.value) }), {});
+    } finally {
+      db.close();
+    }
+  },
+  async save(state) {
+    const db = await this.open();
+    let inTransaction = false;
+    try {
+      const insert = db.prepare('INSERT INTO state (key, value) VALUES (?, ?)');
+      db.exec('BEGIN');
+      inTransaction = true;
+      db.prepare('DELETE FROM state').run();
+      Object.entries(state).forEach(([key, value]) => insert.run(key, JSON.stringify(value)));
+      db.exec('COMMIT');
+      inTransaction = false;
+    } catch (err) {
+      // Only when BEGIN ran, and the error that got here is the one reported
+      if (inTransaction) {
+        try {
+          db.exec('ROLLBACK');
+        } catch (rollbackError) {
+          logger().warn({ message: rollbackError.message }, 'Rolling back the state save failed');
+        }
+      }
+      throw err;
+    } finally {
+      db.close();
+    }
+  },
+};
+
+const backends = { firefly, file, sqlite };
+
+export const BACKENDS = Object.keys(backends);
+
+const getBackendName = (name) => name || config.get('state:backend') || 'firefly';
+
+function getBackend(name) {
+  const backend = backends[getBackendName(name)];
+  if (!backend) {
+    throw new Error(`Unknown state backend '${getBackendName(name)}', expected ${BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+/**
+ * Brings a loaded state to the current schema version
+ */
+export function migrateState(state) {
+  const version = state.version || 0;
+  if (version > STATE_VERSION) {
+    throw new Error(`The state has schema version ${version}, newer than this importer's ${STATE_VERSION}. Upgrade the importer.`);
+  }
+  const migrated = Object.keys(migrations)
+    .map(Number)
+    .filter((x) => x >= version)
+    .sort((a, b) => a - b)
+    .reduce((m, x) => migrations[x](m), state);
+  return { ...migrated, version: STATE_VERSION };
+}
+
+/**
+ * Loads the importer state from the configured (or given) backend
+ * @param {string} [backendName] - firefly, file or sqlite (default: state.backend)
+ */
+export async function loadState(backendName) {
+  return migrateState(await getBackend(backendName).load());
+}
+
+export async function saveState(state, backendName) {
+  await getBackend(backendName).save({ ...state, version: STATE_VERSION });
+}
+
+/**
+ * Copies the state from a backend to another
+ * @returns {Promise<object>} - The copied state
+ */
+export async function copyState(from, to) {
+  if (getBackendName(from) === getBackendName(to)) {
+    throw new Error(`Can't migrate the state from '${to}' to itself`);
+  }
+  const state = await loadState(from);
+  await saveState(state, to);
+  return state;
+}
@@ -1,34 +1,295 @@
 #!/usr/bin/env node
 
+import { unwatchFile, watchFile } from 'fs';
 import { readFile } from 'fs/promises';
 import config from 'nconf';
+import moment from 'moment';
 import { schedule } from 'node-cron';
-import loadConfig from './load-config.js';
-import doImport from './importer/index.js';
-import logger, { init as loggerInit } from './logger.js';
+import loadConfig, { getConfigFile, getEnvReport, reloadConfig } from './load-config.js';
+import doImport, { drop } from './importer/index.js';
+import {
+  BACKENDS,
+  copyState,
+  loadState,
+  saveState,
+} from './importer/state-store.js';
+import {
+  findStateKey,
+  getStaleKeys,
+  listStateAccounts,
+  pruneState,
+  resetLastImport,
+  setLastImport,
+} from './importer/state-accounts.js';
+import { testRules } from './importer/rules.js';
+import { createDiagnosticBundle } from './diagnose.js';
+import logger, { init as loggerInit, logToStderr } from './logger.js';
 import { init as fireFlyInit } from './firefly.js';
+import {
+  EXIT_CODES,
+  HELP_TEXT,
+  parseArgs,
+  UsageError,
+} from './cli.js';
 
 const packageJsonContent = await readFile(new URL('../package.json', import.meta.url));
 const pkg = JSON.parse(packageJsonContent.toString());
 
-async function run() {
+// Polled rather than watched, editors and bind mounts replace the file instead of writing it
+const CONFIG_WATCH_INTERVAL_MS = 5000;
+
+async function runImport(options) {
+  const { failedAccounts, failedWrites } = await doImport(options);
+  return failedAccounts.length > 0 || failedWrites.length > 0
+    ? EXIT_CODES.partial
+    : EXIT_CODES.success;
+}
+
+async function run(options) {
   try {
-    await doImport({
-      skipEdit: true,
-      onlyAccounts: undefined,
-      cleanup: false,
-    });
+    return await runImport(options);
   } catch (err) {
     logger()
       .error({
         error: err,
         message: err?.response?.data?.message,
       }, 'Fatal error');
+    return EXIT_CODES.error;
+  }
+}
+
+// Options set in the config are read again on each run, as a reload may change them
+function getRunOptions(args) {
+  return {
+    ...args.options,
+    dryRun: args.options.dryRun ?? config.get('dryRun'),
+    planFile: args.options.planFile ?? config.get('planFile'),
+  };
+}
+
+// --cleanup, --since and --replay are one-off, so only the first run uses them, a cron
+// run would otherwise drop Firefly or scrape the same dates again each time
+function getCronRunOptions(args) {
+  return {
+    ...getRunOptions(args),
+    cleanup: false,
+    since: undefined,
+    replayDir: undefined,
+  };
+}
+
+/**
+ * Runs the import by the configured cron, loading the config again when its file changes
+ * or on SIGHUP. A reload during an import waits for it to finish, so each run uses one
+ * config from start to end.
+ */
+function runWithCron(args) {
+  const configFile = getConfigFile();
+  let cron = config.get('cron');
+  let task;
+  let running = false;
+  let reloadPending = false;
+  let reloading = Promise.resolve();
+
+  const stop = () => {
+    task?.stop();
+    unwatchFile(configFile);
+    process.off('SIGHUP', onSighup);
+  };
+
+  const applyReload = async (reason) => {
+    const error = await reloadConfig(configFile);
+    if (error) {
+      logger().error({ reason, message: error.message }, 'Config reload failed, keeping the last good config');
+      return;
+    }
+    loggerInit();
+    fireFlyInit();
+    logger().info({ reason, configFile }, 'Config reloaded');
+    logEnvOverrides();
+    logConfigSnapshot();
+    if (config.get('cron') === cron) {
+      return;
+    }
+    task.stop();
+    cron = config.get('cron');
+    if (!cron) {
+      logger().info('Cron removed from the config, exiting');
+      stop();
+      return;
+    }
+    logger().info({ cron }, 'Running with the new cron');
+    task = schedule(cron, tick);
+  };
+
+  // Reloads run one after another, and a run that starts meanwhile waits for them
+  const reload = (reason) => {
+    reloadPending = false;
+    reloading = reloading
+      .then(() => applyReload(reason))
+      .catch((error) => logger().error({ reason, error }, 'Config reload failed'));
+    return reloading;
+  };
+
+  const requestReload = (reason) => {
+    if (running) {
+      logger().info({ reason }, 'Config reload queued until the running import finishes');
+      reloadPending = true;
+      return;
+    }
+    reload(reason);
+  };
+
+  const tick = async () => {
+    await reloading;
+    running = true;
+    await run(getCronRunOptions(args));
+    running = false;
+    if (reloadPending) {
+      await reload('changed during import');
+    }
+  };
+
+  logger()
+    .info({ cron }, 'Running with cron');
+  task = schedule(cron, tick);
+  watchFile(configFile, { interval: CONFIG_WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      requestReload('file changed');
+    }
+  });
+  const onSighup = () => requestReload('SIGHUP');
+  process.on('SIGHUP', onSighup);
+}
+
+const commands = {
+  run: async (options, args) => {
+    const exitCode = await run(options);
+    if (!config.get('cron')) {
+      return exitCode;
+    }
+    runWithCron(args);
+    return EXIT_CODES.success;
+  },
+  import: runImport,
+  once: runImport,
+  drop: async () => {
+    await drop();
+    return EXIT_CODES.success;
+  },
+  'state show': async () => {
+    const state = await loadState();
+    console.log(JSON.stringify(state, null, 2));
+    return EXIT_CODES.success;
+  },
+  'state list': async (options, { json }) => {
+    const accounts = listStateAccounts(await loadState());
+    if (json) {
+      console.log(JSON.stringify(accounts, null, 2));
+      return EXIT_CODES.success;
+    }
+    printTable(accounts.map((x) => ({
+      ACCOUNT: x.name || '(not in config)',
+      'LAST IMPORT': x.lastImport ? moment(x.lastImport).format('YYYY-MM-DD HH:mm') : 'never',
+      KEY: x.key,
+    })));
+    return EXIT_CODES.success;
+  },
+  'state set': async (options, { params, json }) => {
+    const state = await loadState();
+    const key = getStateKeyOrThrow(state, params.account);
+    const updated = setLastImport(state, key, params.date);
+    await saveState(updated);
+    printResult(json, { key, lastImport: updated.lastImport[key] }, `Last import of ${key} set to ${updated.lastImport[key]}`);
+    return EXIT_CODES.success;
+  },
+  'state reset': async (options, { params, json }) => {
+    const state = await loadState();
+    const key = getStateKeyOrThrow(state, params.account);
+    await saveState(resetLastImport(state, key));
+    printResult(json, { key, lastImport: null }, `Last import of ${key} reset, the next import scrapes it from the start`);
+    return EXIT_CODES.success;
+  },
+  'state prune': async (options, { yes, json }) => {
+    const state = await loadState();
+    const stale = getStaleKeys(state);
+    if (yes && stale.length > 0) {
+      await saveState(pruneState(state, stale));
+    }
+    const verb = yes ? 'Deleted' : 'Would delete (pass --yes to delete)';
+    printResult(
+      json,
+      { stale, deleted: yes },
+      stale.length > 0 ? `${verb}:\n${stale.map((x) => `  ${x}`).join('\n')}` : 'No stale state entries',
+    );
+    return EXIT_CODES.success;
+  },
+  'state migrate': async (options, { migrate }) => {
+    const unknown = [migrate.from, migrate.to].filter((x) => x && !BACKENDS.includes(x));
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown state backend: ${unknown.join(', ')} (known: ${BACKENDS.join(', ')})`);
+    }
+    const state = await copyState(migrate.from, migrate.to);
+    console.log(`State copied to '${migrate.to}' (${Object.keys(state.lastImport || {}).length} accounts)`);
+    return EXIT_CODES.success;
+  },
+  'rules test': async (options, { sample }) => {
+    console.log(JSON.stringify(testRules(sample), null, 2));
+    return EXIT_CODES.success;
+  },
+  // Loading the config in init() validates it, and throws listing every error
+  validate: async () => {
+    console.log(`Config is valid: ${getConfigFile()}`);
+    return EXIT_CODES.success;
+  },
+  diagnose: async (options, { diagnose }) => {
+    const { file, size, summary } = await createDiagnosticBundle(diagnose);
+    console.log(`Diagnostic archive written to ${file} (${size} bytes)`);
+    summary.missing.forEach((x) => console.log(`  Not included: ${x}`));
+    console.log('Failure screenshots are included as is, check them before sharing.');
+    return EXIT_CODES.success;
+  },
+};
+
+function printTable(rows) {
+  if (rows.length === 0) {
+    console.log('No accounts');
+    return;
+  }
+  const columns = Object.keys(rows[0]);
+  const widths = columns
+    .map((c) => Math.max(c.length, ...rows.map((r) => String(r[c]).length)));
+  const line = (values) => values.map((x, i) => String(x).padEnd(widths[i])).join('  ').trimEnd();
+  console.log([line(columns), ...rows.map((r) => line(columns.map((c) => r[c])))].join('\n'));
+}
+
+function printResult(json, value, text) {
+  console.log(json ? JSON.stringify(value, null, 2) : text);
+}
+
+function getStateKeyOrThrow(state, account) {
+  const key = findStateKey(state, account);
+  if (!key) {
+    throw new UsageError(`Unknown account: ${account} (expected a config name or a key from 'state list')`);
+  }
+  return key;
+}
+
+function validateOnlyAccounts(onlyAccounts) {
+  if (!onlyAccounts) {
+    return;
+  }
+  const names = (config.get('banks') || [])
+    .flatMap((b) => [b.name, ...(b.creditCards || []).map((cc) => cc.name)])
+    .filter((x) => x);
+  const unknown = onlyAccounts.filter((x) => !names.includes(x));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown account name for --only: ${unknown.join(', ')} (known: ${names.join(', ') || 'none'})`);
   }
 }
 
 function logConfigSnapshot() {
-  const configFile = process.env.CONFIG_FILE || './config.yaml';
+  const configFile = getConfigFile();
   const scraper = config.get('scraper') || {};
   const banks = config.get('banks') || [];
   const snapshot = {
@@ -51,41 +312,77 @@ function logConfigSnapshot() {
   logger().info(snapshot, 'Config snapshot (startDate/timeout only)');
 }
 
+// Lists the variable and path of each override, its value may be a secret
+function logEnvOverrides() {
+  const { overridden, unmatched, byIndex } = getEnvReport();
+  if (overridden.length > 0) {
+    logger().info({
+      overridden: overridden.map((x) => `${x.path} (${x.variable})`),
+    }, 'Config values set from environment variables');
+  }
+  if (unmatched.length > 0) {
+    logger().warn({ variables: unmatched }, 'Environment variables that match no bank, card or config path');
+  }
+  if (byIndex) {
+    logger().warn('BANK_<N>_... variables follow the order of banks in the config, prefer BANK_<NAME>__<FIELD>');
+  }
+}
+
 async function init() {
-  const configFile = process.env.CONFIG_FILE || './config.yaml';
+  const configFile = getConfigFile();
   await loadConfig(configFile);
   loggerInit();
   logger().debug(`Config file '${configFile}' loaded.`);
+  logEnvOverrides();
   logConfigSnapshot();
 
   fireFlyInit();
 }
 
-try {
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.command === 'help') {
+    console.log(HELP_TEXT);
+    return EXIT_CODES.success;
+  }
+  if (args.configFile) {
+    process.env.CONFIG_FILE = args.configFile;
+  }
+
+  if (args.json) {
+    // Keeps stdout parseable, the JSON is the only thing printed there
+    logToStderr();
+  }
   await init();
   logger()
     .info(
       {
         version: pkg.version,
         features: ['per-account startDate', 'per-account timeout'],
-        configFile: process.env.CONFIG_FILE || './config.yaml',
+        configFile: getConfigFile(),
+        command: args.command,
       },
       'Starting Israeli Bank Firefly iii Importer',
     );
-  await run();
-  const cron = config.get('cron');
-  if (cron) {
-    logger()
-      .info({ cron }, 'Running with cron');
-    schedule(cron, run);
-  }
+
+  validateOnlyAccounts(args.options.onlyAccounts);
+  return commands[args.command](getRunOptions(args), args);
+}
+
+try {
+  process.exitCode = await main();
 } catch (err) {
-  // Always print to stderr so addon/container logs show the error even if logger not inited
-  console.error('Critical error:', err?.message || err);
-  try {
-    logger().error(err, 'Critical error');
-  } catch (_) {
-    console.error(err);
+  if (err instanceof UsageError) {
+    console.error(`Error: ${err.message}\nRun with --help for usage.`);
+    process.exitCode = EXIT_CODES.usage;
+  } else {
+    // Always print to stderr so addon/container logs show the error even if logger not inited
+    console.error('Critical error:', err?.message || err);
+    try {
+      logger().error(err, 'Critical error');
+    } catch (_) {
+      console.error(err);
+    }
+    process.exitCode = EXIT_CODES.error;
   }
-  process.exitCode = 1;
 }
@@ -1,7 +1,11 @@
 import { createRequire } from 'node:module';
+import { dirname } from 'node:path';
 import config from 'nconf';
 import nconfYaml from 'nconf-yaml';
 import { decryptObject, isEncrypted } from './crypto.js';
+import validateConfig, { formatConfigErrors } from './config-schema.js';
+import { formatPath, getEnvOverrides, isOverrideVariable } from './env-overrides.js';
+import { applyFileVariables, isSecretReference, resolveSecrets } from './secrets.js';
 
 const require = createRequire(import.meta.url);
 
@@ -11,9 +15,12 @@ const envMap = {
   FIREFLY_TOKEN_API: 'firefly:tokenApi',
   CRON: 'cron',
   SCRAPER_PARALLEL: 'scraper:parallel',
+  SCRAPER_MAX_CONCURRENCY: 'scraper:maxConcurrency',
   SCRAPER_TIMEOUT: 'scraper:timeout',
   SCRAPER_START_DATE: 'scraper:startDate',
   LOG_LEVEL: 'log:level',
+  DRY_RUN: 'dryRun',
+  PLAN_FILE: 'planFile',
 };
 
 config
@@ -40,55 +47,73 @@ function hasEncryptedValues(obj) {
   return false;
 }
 
+let envReport = { overridden: [], unmatched: [], byIndex: false };
+let fromFiles = [];
+
+// Variables that may be read from the file in their *_FILE variant
+const isFileVariable = (variable) => ['MASTER_PASSWORD', 'FIREFLY_TOKEN_API'].includes(variable)
+  || isOverrideVariable(variable);
+
+// Reported by the variable actually set
+const getSetVariable = (variable) => (fromFiles.includes(variable) ? `${variable}_FILE` : variable);
+
 /**
- * Applies environment variable overrides for bank credentials
- * Format: BANK_0_USERNAME, BANK_0_PASSWORD, CREDITCARD_0_0_ID, etc.
+ * Applies the BANK_<NAME>__<FIELD>, CONFIG__<PATH> and BANK_<N>_<FIELD> variables
+ * (see env-overrides.js). These take precedence over the config file values.
  */
-function applyCredentialEnvOverrides() {
-  const banks = config.get('banks') || [];
-
-  banks.forEach((bank, bankIndex) => {
-    // Bank credential overrides
-    const bankUsername = process.env[`BANK_${bankIndex}_USERNAME`];
-    const bankPassword = process.env[`BANK_${bankIndex}_PASSWORD`];
-    const bankId = process.env[`BANK_${bankIndex}_ID`];
-    const bankUserCode = process.env[`BANK_${bankIndex}_USERCODE`];
-
-    if (bankUsername) {
-      config.set(`banks:${bankIndex}:credentials:username`, bankUsername);
-    }
-    if (bankPassword) {
-      config.set(`banks:${bankIndex}:credentials:password`, bankPassword);
-    }
-    if (bankId) {
-      config.set(`banks:${bankIndex}:credentials:id`, bankId);
-    }
-    if (bankUserCode) {
-      config.set(`banks:${bankIndex}:credentials:userCode`, bankUserCode);
-    }
+function applyEnvOverrides() {
+  const { overrides, unmatched } = getEnvOverrides(config.get(), process.env);
+  overrides.forEach((x) => config.set(x.path.join(':'), x.value));
 
-    // Credit card credential overrides
-    const creditCards = bank.creditCards || [];
-    creditCards.forEach((cc, ccIndex) => {
-      const ccUsername = process.env[`BANK_${bankIndex}_CC_${ccIndex}_USERNAME`];
-      const ccPassword = process.env[`BANK_${bankIndex}_CC_${ccIndex}_PASSWORD`];
-      const ccId = process.env[`BANK_${bankIndex}_CC_${ccIndex}_ID`];
-      const ccCard6Digits = process.env[`BANK_${bankIndex}_CC_${ccIndex}_CARD6DIGITS`];
-
-      if (ccUsername) {
-        config.set(`banks:${bankIndex}:creditCards:${ccIndex}:credentials:username`, ccUsername);
-      }
-      if (ccPassword) {
-        config.set(`banks:${bankIndex}:creditCards:${ccIndex}:credentials:password`, ccPassword);
-      }
-      if (ccId) {
-        config.set(`banks:${bankIndex}:creditCards:${ccIndex}:credentials:id`, ccId);
-      }
-      if (ccCard6Digits) {
-        config.set(`banks:${bankIndex}:creditCards:${ccIndex}:credentials:card6Digits`, ccCard6Digits);
-      }
-    });
-  });
+  const fromEnvMap = [...Object.entries(envMap), ['SCRAPER_BROWSER_WS_ENDPOINT', 'scraper:options:browserWSEndpoint']]
+    .filter(([variable]) => process.env[variable])
+    .map(([variable, path]) => ({ variable: getSetVariable(variable), path: path.replace(/:/g, '.') }));
+  envReport = {
+    overridden: [
+      ...fromEnvMap,
+      ...overrides.map((x) => ({ variable: getSetVariable(x.variable), path: formatPath(x.path) })),
+    ],
+    unmatched,
+    byIndex: overrides.some((x) => x.byIndex),
+  };
+}
+
+/**
+ * Which config paths the last load took from environment variables, never their values
+ * @returns {{overridden: {variable: string, path: string}[], unmatched: string[],
+ * byIndex: boolean}}
+ */
+export function getEnvReport() {
+  return envReport;
+}
+
+const withResolvedCredentials = async (entry, path) => ({
+  ...entry,
+  ...(entry?.credentials && {
+    credentials: await resolveSecrets(entry.credentials, `${path}.credentials`),
+  }),
+});
+
+/**
+ * Replaces the file:, env: and cmd: references in credentials and firefly tokenApi with
+ * the secrets. Runs before decryption, so a referenced secret may be encrypted too.
+ */
+async function resolveSecretsConfig() {
+  const banks = config.get('banks');
+  if (Array.isArray(banks)) {
+    const resolved = await Promise.all(banks.map(async (bank, i) => {
+      const withCards = bank?.creditCards && {
+        creditCards: await Promise.all(bank.creditCards
+          .map((cc, j) => withResolvedCredentials(cc, `banks[${i}].creditCards[${j}]`))),
+      };
+      return { ...await withResolvedCredentials(bank, `banks[${i}]`), ...withCards };
+    }));
+    config.set('banks', resolved);
+  }
+  const tokenApi = config.get('firefly:tokenApi');
+  if (isSecretReference(tokenApi)) {
+    config.set('firefly:tokenApi', await resolveSecrets(tokenApi, 'firefly.tokenApi'));
+  }
 }
 
 /**
@@ -113,9 +138,23 @@ async function decryptFireflyConfig(masterPassword) {
   }
 }
 
+export const getConfigFile = () => process.env.CONFIG_FILE || './config.yaml';
+
+/**
+ * Folder of the config file, where files without a configured path are kept by default
+ * (OTP tokens, plugins, the state file)
+ */
+export const getConfigDir = () => (process.env.CONFIG_FILE
+  ? dirname(process.env.CONFIG_FILE)
+  : process.cwd());
+
 export default async function loadConfig(path) {
+  // Before the env store below reads FIREFLY_TOKEN_API
+  fromFiles = applyFileVariables(process.env, isFileVariable, fromFiles);
+
   config
     .remove('defaults')
+    .remove('overrides')
     .env({
       transform: (obj) => {
         if (!envMap[obj.key]) {
@@ -143,17 +182,21 @@ export default async function loadConfig(path) {
   }
   if (process.env.CRON) envOverrides.cron = process.env.CRON;
   if (process.env.LOG_LEVEL) envOverrides.log = { level: process.env.LOG_LEVEL };
+  if (process.env.DRY_RUN) envOverrides.dryRun = process.env.DRY_RUN === 'true';
+  if (process.env.PLAN_FILE) envOverrides.planFile = process.env.PLAN_FILE;
   if (process.env.SCRAPER_TIMEOUT || process.env.SCRAPER_START_DATE
-    || process.env.SCRAPER_BROWSER_WS_ENDPOINT) {
+    || process.env.SCRAPER_BROWSER_WS_ENDPOINT || process.env.SCRAPER_MAX_CONCURRENCY) {
     const base = envOverrides.scraper || config.get('scraper') || {};
     const raw = process.env.SCRAPER_TIMEOUT;
     const parsedTimeout = raw ? parseInt(raw, 10) : undefined;
+    const maxConcurrency = parseInt(process.env.SCRAPER_MAX_CONCURRENCY, 10);
     const wsEndpoint = process.env.SCRAPER_BROWSER_WS_ENDPOINT?.trim();
     const options = base.options || {};
     envOverrides.scraper = {
       ...base,
       ...(Number.isFinite(parsedTimeout) && parsedTimeout > 0 && { timeout: parsedTimeout }),
       ...(process.env.SCRAPER_START_DATE && { startDate: process.env.SCRAPER_START_DATE }),
+      ...(maxConcurrency > 0 && { maxConcurrency }),
       ...(wsEndpoint && {
         options: {
           ...options,
@@ -166,11 +209,8 @@ export default async function loadConfig(path) {
     config.overrides(envOverrides);
   }
 
-  config.required(['firefly', 'firefly:baseUrl', 'firefly:tokenApi', 'banks']);
-
-  // Apply environment variable overrides for credentials
-  // (These take precedence over config file values)
-  applyCredentialEnvOverrides();
+  applyEnvOverrides();
+  await resolveSecretsConfig();
 
   // Check if decryption is needed
   const banks = config.get('banks');
@@ -197,4 +237,27 @@ export default async function loadConfig(path) {
       );
     }
   }
+
+  // Checked once decrypted, so encrypted credentials are checked as well
+  const errors = validateConfig(config.get());
+  if (errors.length > 0) {
+    throw new Error(formatConfigErrors(errors));
+  }
+}
+
+/**
+ * Loads the config again, e.g. after the file changed. An invalid config (or one that
+ * fails to decrypt) is dropped, and the one loaded before stays in use.
+ * @returns {Promise<Error|null>} - Why the new config was dropped, null when it's in use
+ */
+export async function reloadConfig(path) {
+  const lastGood = config.get();
+  try {
+    await loadConfig(path);
+    return null;
+  } catch (error) {
+    Object.keys(config.stores).forEach((x) => config.remove(x));
+    config.overrides(lastGood);
+    return error;
+  }
 }
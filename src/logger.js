@@ -2,16 +2,55 @@ import pino from 'pino';
 import config from 'nconf';
 
 let pinoInstance;
+// stdout, or stderr when stdout is kept for a command's output
+let destination = 1;
+
+const prettyTarget = {
+  target: 'pino-pretty',
+  options: { translateTime: 'SYS:yyyy-mm-dd HH:MM:ss.l' },
+};
+
+// log.file also writes the log to a file, e.g. for the diagnose command
+function getTransport() {
+  const file = config.get('log:file');
+  const pretty = { ...prettyTarget, options: { ...prettyTarget.options, destination } };
+  if (!file) {
+    return config.get('log:prettyPrint') ? pretty : undefined;
+  }
+  const level = config.get('log:level');
+  return {
+    targets: [
+      config.get('log:prettyPrint')
+        ? { ...pretty, level }
+        : { target: 'pino/file', options: { destination }, level },
+      { target: 'pino/file', options: { destination: file, mkdir: true }, level },
+    ],
+  };
+}
 
 export function init() {
-  pinoInstance = pino({
+  const previous = pinoInstance;
+  const transport = getTransport();
+  const options = {
     level: config.get('log:level'),
-    transport: config.get('log:prettyPrint') ? {
-      target: 'pino-pretty',
-      options: { translateTime: 'SYS:yyyy-mm-dd HH:MM:ss.l' },
-    } : {},
     redact: config.get('log:redact'),
-  });
+  };
+  pinoInstance = transport
+    ? pino({ ...options, transport })
+    : pino(options, pino.destination(destination));
+  // A transport logs from a worker thread, which has to end when the config is reloaded
+  const previousStream = previous?.[pino.symbols.streamSym];
+  if (previousStream?.worker) {
+    previousStream.end();
+  }
+}
+
+/**
+ * Logs to stderr from now on, so stdout only holds what the command prints
+ */
+export function logToStderr() {
+  destination = 2;
+  init();
 }
 
 export default function getPino() {
@@ -0,0 +1,117 @@
+/**
+ * Secrets kept outside the config: references in config values and *_FILE variables
+ *
+ * file:/run/secrets/leumi_pw   the file's content
+ * env:LEUMI_PASSWORD           an environment variable (or the file in LEUMI_PASSWORD_FILE)
+ * cmd:pass show bank/leumi     what a shell command prints
+ */
+
+import { exec } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+
+const REFERENCE_PATTERN = /^(file|env|cmd):(.+)$/s;
+const COMMAND_TIMEOUT_MS = 30000;
+
+// Secret files and command output usually end with a newline that isn't part of the secret
+const trimNewline = (value) => value.replace(/\r?\n$/, '');
+
+export const isSecretReference = (value) => typeof value === 'string'
+  && REFERENCE_PATTERN.test(value);
+
+// An exported but empty variable (common in Compose and Kubernetes templates) counts as unset
+function readEnv(name, env) {
+  if (env[name]) {
+    return env[name];
+  }
+  const file = env[`${name}_FILE`];
+  if (file) {
+    try {
+      return trimNewline(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`can't read ${name}_FILE '${file}': ${error.code || error.message}`);
+    }
+  }
+  throw new Error(`environment variable ${name} is not set`);
+}
+
+function runCommand(command) {
+  return new Promise((resolve, reject) => {
+    exec(command, { timeout: COMMAND_TIMEOUT_MS }, (error, stdout) => {
+      // Neither the output nor stderr goes in the error, they may hold the secret
+      if (error) {
+        reject(new Error(`command '${command}' failed${error.code ? ` with exit code ${error.code}` : ''}`));
+        return;
+      }
+      resolve(trimNewline(stdout));
+    });
+  });
+}
+
+async function resolveReference(value, path, env) {
+  const [, kind, target] = value.match(REFERENCE_PATTERN);
+  const resolvers = {
+    file: async () => trimNewline(await readFile(target.trim(), 'utf8')),
+    env: async () => readEnv(target.trim(), env),
+    cmd: () => runCommand(target),
+  };
+  try {
+    const resolved = await resolvers[kind]();
+    if (!resolved) {
+      throw new Error('it is empty');
+    }
+    return resolved;
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? `file '${target.trim()}' not found` : error.message;
+    throw new Error(`Can't resolve the secret of ${path} (${kind}:): ${reason}`);
+  }
+}
+
+/**
+ * Replaces every secret reference in a value (recursively) with the secret
+ * @param {any} value - Config value, e.g. a bank's credentials
+ * @param {string} path - YAML path of the value, for errors
+ * @param {object} env - Environment variables, e.g. process.env
+ */
+export async function resolveSecrets(value, path, env = process.env) {
+  if (isSecretReference(value)) {
+    return resolveReference(value, path, env);
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map((x, i) => resolveSecrets(x, `${path}[${i}]`, env)));
+  }
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(Object.entries(value)
+      .map(async ([key, x]) => [key, await resolveSecrets(x, `${path}.${key}`, env)]));
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+/**
+ * Sets each allowed variable from the file its *_FILE variant points to, as Docker and
+ * Home Assistant mount secrets
+ * @param {object} env - Environment variables, changed in place
+ * @param {function(string): boolean} isAllowed - Whether a variable may come from a file
+ * @param {string[]} fromFiles - Variables set from files by a previous load, read again
+ * @returns {string[]} - The variables set from files
+ */
+export function applyFileVariables(env, isAllowed, fromFiles = []) {
+  return Object.keys(env)
+    // CONFIG__STATE__FILE is the state.file path, not a file variant
+    .filter((x) => /[^_]_FILE$/.test(x) && env[x])
+    .map((x) => ({ variable: x.slice(0, -'_FILE'.length), file: env[x] }))
+    .filter((x) => isAllowed(x.variable))
+    .map(({ variable, file }) => {
+      if (env[variable] && !fromFiles.includes(variable)) {
+        throw new Error(`Both ${variable} and ${variable}_FILE are set, remove one of them`);
+      }
+      try {
+        // eslint-disable-next-line no-param-reassign
+        env[variable] = trimNewline(readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Can't read ${variable}_FILE '${file}': ${error.code || error.message}`);
+      }
+      return variable;
+    });
+}
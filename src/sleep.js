@@ -0,0 +1,3 @@
+export default function sleep(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms); });
+}